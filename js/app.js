@@ -29,17 +29,11 @@ async function handleWaypointSaveClick() {
         console.log("[App] Inside try block. Checking saveNewWaypoint function. LOG 4");
         if (typeof saveNewWaypoint === "function") {
             console.log("[App] saveNewWaypoint IS defined. Checking geolocation API. LOG 5");
-            if (navigator.geolocation) {
+            if (isLocationSupported()) {
                 console.log("[App] Geolocation API IS available. Awaiting current position... LOG 6");
                 
-                const position = await new Promise((resolve, reject) => {
-                    console.log("[App] Geolocation Promise executor started. LOG 6.1");
-                    navigator.geolocation.getCurrentPosition(
-                        (pos) => { console.log("[App] Geolocation success callback. LOG 6.2"); resolve(pos); },
-                        (err) => { console.log("[App] Geolocation error callback. LOG 6.3"); reject(err); },
-                        { timeout: 15000, enableHighAccuracy: true, maximumAge: 0 }
-                    );
-                });
+                // location_service.js reuses a fresh fix from the shared watch when tracking is on
+                const position = await getCurrentLocation();
                 console.log("[App] Geolocation position obtained. Proceeding. LOG 7");
 
                 const lat = position.coords.latitude;
@@ -58,7 +52,7 @@ async function handleWaypointSaveClick() {
     } catch (error) {
         console.error("[App] CAUGHT ERROR in try block: LOG 12", error);
         if (error && typeof error.code === "number" && error.message) { // Check if it's a GeolocationPositionError
-            alert(`Could not get current location: ${error.message}.`);
+            showLocationError(error);
         }
     } finally {
         console.log("[App] ENTERING FINALLY BLOCK. LOG 13");
@@ -95,11 +89,7 @@ document.addEventListener("DOMContentLoaded", () => {
 
     const navButtons = document.querySelectorAll("nav button");
     const sections = document.querySelectorAll(".app-section");
-    const versionIndicator = document.getElementById("version-indicator");
-
-    if (versionIndicator) {
-        versionIndicator.textContent = `Version: ${new Date().toISOString()}`;
-    }
+    // #version-indicator is filled in by app_update.js from the running service worker
 
     window.switchSection = (sectionId) => {
         console.log(`[App] Switching to section: ${sectionId}`);
@@ -117,6 +107,8 @@ document.addEventListener("DOMContentLoaded", () => {
         }
         if (sectionId === "my-kmls" && typeof initKMLManagement === "function") initKMLManagement();
         if (sectionId === "my-waypoints" && typeof loadAndDisplaySavedWaypoints === "function") loadAndDisplaySavedWaypoints();
+        if (sectionId === "my-tracks" && typeof loadAndDisplayRecordedTracks === "function") loadAndDisplayRecordedTracks();
+        if (sectionId === "offline-maps" && typeof loadAndDisplayOfflineAreas === "function") loadAndDisplayOfflineAreas();
     };
 
     navButtons.forEach(button => {
@@ -160,12 +152,17 @@ document.addEventListener("DOMContentLoaded", () => {
             const item = document.createElement("div");
             item.classList.add("trail-item");
             item.innerHTML = `<h3>${trail.name}</h3>
-                ${trail.elevationImage ? `<img src="img/elevation/${trail.elevationImage}" alt="${trail.name} Elevation Profile" style="max-width: 100%; height: auto; margin-top: 10px; margin-bottom: 10px;">` : ''}
+                <p class="offline-readiness-badge" data-trail-id="${trail.id}"></p>
+                <div class="trail-elevation-profile" data-trail-id="${trail.id}">${trail.elevationImage ? `<img src="img/elevation/${trail.elevationImage}" alt="${trail.name} Elevation Profile" style="max-width: 100%; height: auto; margin-top: 10px; margin-bottom: 10px;">` : ''}</div>
                 <p><strong>Type:</strong> ${trail.type || 'N/A'}</p>
                 <p>${trail.description || 'No description available.'}</p>
-                <button onclick="viewTrailOnMap('${trail.id}')">View on Map</button>`;
+                <button onclick="viewTrailOnMap('${trail.id}')">View on Map</button>
+                <button onclick="exportTrailAsGPX('${trail.id}')">Export GPX</button>
+                <button onclick="makeTrailOfflineReady('${trail.id}')">Make Offline-Ready</button>`;
             trailDetailsContainer.appendChild(item);
         });
+        // Computed profiles replace the static images where the trail has elevation data
+        if (typeof initializeTrailCardElevationProfiles === "function") initializeTrailCardElevationProfiles();
     }
 
     window.viewTrailOnMap = (trailId) => {
@@ -196,6 +193,20 @@ document.addEventListener("DOMContentLoaded", () => {
         navigator.serviceWorker.register("./service-worker.js")
             .then(reg => console.log("[App] Service Worker registered with scope:", reg.scope))
             .catch(err => console.error("[App] Service Worker registration failed:", err));
+
+        // The service worker reports files it could not store for offline use
+        navigator.serviceWorker.addEventListener("message", event => {
+            if (!event.data || event.data.type !== "PRECACHE_REPORT" || !event.data.report) return;
+            const report = event.data.report;
+            console.log(`[App] Offline cache ${report.version}: ${report.fetched} downloaded, ${report.reused} unchanged, ${report.failed.length} failed`);
+            if (report.failed.length === 0) return;
+            console.warn("[App] Files not available offline:", report.failed);
+            if (window.toastSystem) {
+                const files = report.failed.slice(0, 5).map(item => escapeXml(item.url)).join("<br>");
+                const more = report.failed.length > 5 ? `<br>...and ${report.failed.length - 5} more` : "";
+                window.toastSystem.warning("Some Files Not Saved Offline", `${report.failed.length} app files could not be cached and will need signal:<br>${files}${more}`, { duration: 15000 });
+            }
+        });
     }
 
     // PWA Installation Prompt Handling
@@ -0,0 +1,106 @@
+// js/app_update.js
+// App updates: a new service worker waits until the user accepts the "Update available" toast,
+// and is never swapped in while live tracking or a track recording is running.
+
+let appUpdateState = {
+    registration: null, // Registration holding the waiting worker
+    deferred: false, // An update arrived during a hike and is offered once it ends
+    reloading: false
+};
+
+function isHikeInProgress() {
+    const tracking = typeof liveTrackingState !== 'undefined' && liveTrackingState.isActive;
+    const recording = typeof trackRecorderState !== 'undefined' && trackRecorderState.status !== 'idle';
+    return tracking || recording;
+}
+
+function handleWaitingWorker(registration) {
+    appUpdateState.registration = registration;
+    if (isHikeInProgress()) {
+        if (!appUpdateState.deferred) {
+            console.log('[AppUpdate] Update waiting; deferred until tracking and recording stop');
+            if (window.toastSystem) {
+                window.toastSystem.info('Update Downloaded', 'A new version will be offered when you stop tracking or recording.');
+            }
+        }
+        appUpdateState.deferred = true;
+        return;
+    }
+    appUpdateState.deferred = false;
+    showUpdateAvailableToast();
+}
+
+function showUpdateAvailableToast() {
+    console.log('[AppUpdate] Update available');
+    if (!window.toastSystem) {
+        if (confirm('A new version of the app is available. Reload now?')) applyAppUpdate();
+        return;
+    }
+    window.toastSystem.info('Update Available', 'A new version of the app is ready.', {
+        persistent: true,
+        actions: [
+            { text: 'Reload', type: 'primary', onClick: 'applyAppUpdate()' },
+            { text: 'Later', type: 'secondary', onClick: '' }
+        ]
+    });
+}
+
+// Called by live_tracking.js and gps_tracking.js when tracking or recording stops
+function offerPendingAppUpdate() {
+    if (appUpdateState.deferred && !isHikeInProgress()) {
+        handleWaitingWorker(appUpdateState.registration);
+    }
+}
+
+function applyAppUpdate() {
+    const registration = appUpdateState.registration;
+    if (!registration || !registration.waiting) return;
+    if (isHikeInProgress()) {
+        alert('Stop live tracking and track recording before updating, so nothing is lost.');
+        return;
+    }
+    registration.waiting.postMessage({ type: 'SKIP_WAITING' });
+}
+
+function showAppVersion(version) {
+    const versionIndicator = document.getElementById('version-indicator');
+    if (versionIndicator) versionIndicator.textContent = `Version: ${version}`;
+}
+
+function initializeAppUpdates() {
+    if (!('serviceWorker' in navigator)) {
+        showAppVersion('online only (offline support unavailable)');
+        return;
+    }
+
+    navigator.serviceWorker.addEventListener('message', event => {
+        if (event.data && event.data.type === 'VERSION') showAppVersion(event.data.version);
+    });
+
+    // Reload once the accepted worker has taken over
+    navigator.serviceWorker.addEventListener('controllerchange', () => {
+        if (!appUpdateState.registration || appUpdateState.reloading) return;
+        appUpdateState.reloading = true;
+        window.location.reload();
+    });
+
+    navigator.serviceWorker.ready.then(registration => {
+        if (registration.active) registration.active.postMessage({ type: 'GET_VERSION' });
+
+        if (registration.waiting && navigator.serviceWorker.controller) {
+            handleWaitingWorker(registration);
+        }
+        registration.addEventListener('updatefound', () => {
+            const worker = registration.installing;
+            if (!worker) return;
+            worker.addEventListener('statechange', () => {
+                // Without a controller this is the first install, not an update
+                if (worker.state === 'installed' && navigator.serviceWorker.controller) {
+                    handleWaitingWorker(registration);
+                }
+            });
+        });
+    });
+}
+
+document.addEventListener('DOMContentLoaded', initializeAppUpdates);
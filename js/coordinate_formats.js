@@ -0,0 +1,297 @@
+// js/coordinate_formats.js
+// Coordinate display in the format chosen in the map controls (decimal degrees, degrees-minutes-
+// seconds, decimal minutes as printed in the Directions section, or UTM - zone 36J around the camp),
+// a live readout of the user's position or the map centre, and an entry box that parses any of
+// those formats and jumps the map there.
+
+const COORDINATE_FORMAT_KEY = 'coordinateFormat';
+
+const COORDINATE_FORMATS = {
+    dd: { label: 'Decimal degrees' },
+    dms: { label: 'Degrees, minutes, seconds' },
+    ddm: { label: 'Degrees, decimal minutes' },
+    utm: { label: 'UTM' }
+};
+
+const UTM_SETTINGS = {
+    a: 6378137, // WGS84 semi-major axis (metres)
+    f: 1 / 298.257223563,
+    k0: 0.9996,
+    falseEasting: 500000,
+    falseNorthingSouth: 10000000,
+    bands: 'CDEFGHJKLMNPQRSTUVWXX' // 8° latitude bands from 80°S; X is stretched to 84°N
+};
+
+const COORDINATE_READOUT_SETTINGS = {
+    maxFixAge: 60000 // Without location updates running, an older fix gives way to the map centre (ms)
+};
+
+let coordinateFormatState = {
+    format: 'dms',
+    searchMarker: null,
+    readoutTimer: null // Switches the readout to the map centre once a one-off fix gets too old
+};
+
+function setCoordinateFormat(format) {
+    if (!COORDINATE_FORMATS[format]) return;
+    coordinateFormatState.format = format;
+    localStorage.setItem(COORDINATE_FORMAT_KEY, format);
+    console.log('[Coordinates] Format set to', format);
+
+    const select = document.getElementById('coordinate-format-select');
+    if (select) select.value = format;
+    updateCoordinateReadout();
+    // Waypoint popups and the list are rendered once; redraw them in the new format
+    if (typeof loadAndDisplaySavedWaypoints === 'function') loadAndDisplaySavedWaypoints();
+}
+
+// --- Formatting ---
+
+function formatDegreesMinutes(decimal, type) {
+    const hemisphere = type === 'lat' ? (decimal >= 0 ? 'N' : 'S') : (decimal >= 0 ? 'E' : 'W');
+    const absolute = Math.abs(decimal);
+    let degrees = Math.floor(absolute);
+    let minutes = Number(((absolute - degrees) * 60).toFixed(3));
+    if (minutes >= 60) {
+        degrees++;
+        minutes = 0;
+    }
+    const paddedDegrees = degrees.toString().padStart(type === 'lon' ? 3 : 2, '0');
+    return `${hemisphere} ${paddedDegrees}° ${minutes.toFixed(3).padStart(6, '0')}'`;
+}
+
+function latLonToUTM(lat, lon) {
+    const { a, f, k0 } = UTM_SETTINGS;
+    const e2 = f * (2 - f);
+    const ep2 = e2 / (1 - e2);
+    const zone = Math.min(60, Math.floor((lon + 180) / 6) + 1);
+    const centralMeridian = toRadians((zone - 1) * 6 - 180 + 3);
+    const phi = toRadians(lat);
+
+    const n = a / Math.sqrt(1 - e2 * Math.sin(phi) ** 2);
+    const t = Math.tan(phi) ** 2;
+    const c = ep2 * Math.cos(phi) ** 2;
+    const A = Math.cos(phi) * (toRadians(lon) - centralMeridian);
+    const m = a * ((1 - e2 / 4 - 3 * e2 ** 2 / 64 - 5 * e2 ** 3 / 256) * phi -
+        (3 * e2 / 8 + 3 * e2 ** 2 / 32 + 45 * e2 ** 3 / 1024) * Math.sin(2 * phi) +
+        (15 * e2 ** 2 / 256 + 45 * e2 ** 3 / 1024) * Math.sin(4 * phi) -
+        (35 * e2 ** 3 / 3072) * Math.sin(6 * phi));
+
+    const easting = UTM_SETTINGS.falseEasting + k0 * n * (A + (1 - t + c) * A ** 3 / 6 +
+        (5 - 18 * t + t * t + 72 * c - 58 * ep2) * A ** 5 / 120);
+    let northing = k0 * (m + n * Math.tan(phi) * (A * A / 2 + (5 - t + 9 * c + 4 * c * c) * A ** 4 / 24 +
+        (61 - 58 * t + t * t + 600 * c - 330 * ep2) * A ** 6 / 720));
+    if (lat < 0) northing += UTM_SETTINGS.falseNorthingSouth;
+
+    const band = UTM_SETTINGS.bands[Math.max(0, Math.min(20, Math.floor((lat + 80) / 8)))];
+    return { zone: zone, band: band, easting: easting, northing: northing };
+}
+
+function utmToLatLon(zone, band, easting, northing) {
+    const { a, f, k0 } = UTM_SETTINGS;
+    const e2 = f * (2 - f);
+    const ep2 = e2 / (1 - e2);
+    const e1 = (1 - Math.sqrt(1 - e2)) / (1 + Math.sqrt(1 - e2));
+    const southern = band.toUpperCase() < 'N';
+
+    const x = easting - UTM_SETTINGS.falseEasting;
+    const y = southern ? northing - UTM_SETTINGS.falseNorthingSouth : northing;
+    const mu = y / k0 / (a * (1 - e2 / 4 - 3 * e2 ** 2 / 64 - 5 * e2 ** 3 / 256));
+    const phi1 = mu + (3 * e1 / 2 - 27 * e1 ** 3 / 32) * Math.sin(2 * mu) +
+        (21 * e1 ** 2 / 16 - 55 * e1 ** 4 / 32) * Math.sin(4 * mu) +
+        (151 * e1 ** 3 / 96) * Math.sin(6 * mu) +
+        (1097 * e1 ** 4 / 512) * Math.sin(8 * mu);
+
+    const n1 = a / Math.sqrt(1 - e2 * Math.sin(phi1) ** 2);
+    const t1 = Math.tan(phi1) ** 2;
+    const c1 = ep2 * Math.cos(phi1) ** 2;
+    const r1 = a * (1 - e2) / (1 - e2 * Math.sin(phi1) ** 2) ** 1.5;
+    const d = x / (n1 * k0);
+
+    const lat = phi1 - (n1 * Math.tan(phi1) / r1) * (d * d / 2 -
+        (5 + 3 * t1 + 10 * c1 - 4 * c1 * c1 - 9 * ep2) * d ** 4 / 24 +
+        (61 + 90 * t1 + 298 * c1 + 45 * t1 * t1 - 252 * ep2 - 3 * c1 * c1) * d ** 6 / 720);
+    const lon = (d - (1 + 2 * t1 + c1) * d ** 3 / 6 +
+        (5 - 2 * c1 + 28 * t1 - 3 * c1 * c1 + 8 * ep2 + 24 * t1 * t1) * d ** 5 / 120) / Math.cos(phi1);
+
+    return {
+        lat: lat * 180 / Math.PI,
+        lon: (zone - 1) * 6 - 180 + 3 + lon * 180 / Math.PI
+    };
+}
+
+// Both coordinates of a position in the chosen (or given) format, e.g. "S 25° 47.444', E 030° 47.547'"
+function formatCoordinates(lat, lon, format) {
+    switch (format || coordinateFormatState.format) {
+        case 'dd':
+            return `${lat.toFixed(6)}, ${lon.toFixed(6)}`;
+        case 'ddm':
+            return `${formatDegreesMinutes(lat, 'lat')}, ${formatDegreesMinutes(lon, 'lon')}`;
+        case 'utm': {
+            const utm = latLonToUTM(lat, lon);
+            return `${utm.zone}${utm.band} ${Math.round(utm.easting)} E ${Math.round(utm.northing)} N`;
+        }
+        default:
+            return `${decimalToDMS(lat, 'lat')}, ${decimalToDMS(lon, 'lon')}`;
+    }
+}
+
+// --- Parsing ---
+
+// One coordinate from its numbers (degrees [, minutes [, seconds]]) and optional hemisphere letter
+function parseCoordinatePart(numbers, hemisphere) {
+    if (numbers.length < 1 || numbers.length > 3) return null;
+    const values = numbers.map(Number);
+    if (values.slice(1).some(value => value < 0 || value >= 60)) return null;
+    if (values.slice(0, -1).some(value => !Number.isInteger(value))) return null; // Only the last part may have decimals
+
+    const negative = numbers[0].startsWith('-') || hemisphere === 'S' || hemisphere === 'W';
+    const magnitude = Math.abs(values[0]) + (values[1] || 0) / 60 + (values[2] || 0) / 3600;
+    return { value: negative ? -magnitude : magnitude, axis: hemisphere ? (/[NS]/.test(hemisphere) ? 'lat' : 'lon') : null };
+}
+
+// Accepts "-25.790733, 30.792450", "S 25° 47.444, E 030° 47.547", "25°47'26.6"S 30°47'32.8"E",
+// "25 47 26.6 S 30 47 32.8 E" and UTM such as "36J 278649 7145635". Returns { lat, lon } or null.
+function parseCoordinates(text) {
+    const input = String(text || '').trim().toUpperCase()
+        .replace(/[′’]/g, "'").replace(/[″”]|''/g, '"').replace(/º/g, '°');
+    if (!input) return null;
+
+    const utm = input.match(/^(\d{1,2})\s*([C-HJ-NP-X])\s+(\d{5,7}(?:\.\d+)?)\s*M?\s*E?\s*,?\s*(\d{5,8}(?:\.\d+)?)\s*M?\s*N?$/);
+    if (utm) {
+        const zone = Number(utm[1]);
+        if (zone < 1 || zone > 60) return null;
+        return validateLatLon(utmToLatLon(zone, utm[2], Number(utm[3]), Number(utm[4])));
+    }
+
+    const tokens = input.match(/[NSEW]|-?\d+(?:\.\d+)?/g);
+    if (!tokens) return null;
+    const letters = tokens.filter(token => /^[NSEW]$/.test(token));
+    const parts = [];
+
+    if (letters.length === 0) {
+        // Without hemispheres the numbers split evenly: lat first, then lon
+        if (tokens.length % 2 !== 0) return null;
+        const half = tokens.length / 2;
+        parts.push(parseCoordinatePart(tokens.slice(0, half), null), parseCoordinatePart(tokens.slice(half), null));
+    } else if (letters.length === 2) {
+        const prefixed = /^[NSEW]$/.test(tokens[0]);
+        let numbers = [];
+        let hemisphere = null;
+        tokens.forEach(token => {
+            if (/^[NSEW]$/.test(token)) {
+                if (prefixed) {
+                    if (hemisphere) parts.push(parseCoordinatePart(numbers, hemisphere));
+                    numbers = [];
+                    hemisphere = token;
+                } else {
+                    parts.push(parseCoordinatePart(numbers, token));
+                    numbers = [];
+                }
+            } else {
+                numbers.push(token);
+            }
+        });
+        if (prefixed) parts.push(parseCoordinatePart(numbers, hemisphere));
+        else if (numbers.length > 0) return null;
+    } else {
+        return null;
+    }
+
+    if (parts.length !== 2 || parts.some(part => part === null)) return null;
+    if (parts[0].axis && parts[0].axis === parts[1].axis) return null;
+    const [first, second] = parts[0].axis === 'lon' ? [parts[1], parts[0]] : parts;
+    return validateLatLon({ lat: first.value, lon: second.value });
+}
+
+function validateLatLon(position) {
+    if (!position || !isFinite(position.lat) || !isFinite(position.lon)) return null;
+    if (Math.abs(position.lat) > 90 || Math.abs(position.lon) > 180) return null;
+    return position;
+}
+
+// --- Readout and entry box ---
+
+// Called by the location service on every fix and on map moves; shows the user while location
+// updates run or the last fix is recent, otherwise the map centre
+function updateCoordinateReadout() {
+    const readout = document.getElementById('coordinate-readout');
+    if (!readout) return;
+    clearTimeout(coordinateFormatState.readoutTimer);
+    const position = typeof locationServiceState !== 'undefined' ? locationServiceState.lastPosition : null;
+    const active = isLocationActive();
+    const age = position ? Date.now() - position.timestamp : Infinity;
+    if (position && (active || age < COORDINATE_READOUT_SETTINGS.maxFixAge)) {
+        if (!active) {
+            coordinateFormatState.readoutTimer = setTimeout(updateCoordinateReadout, COORDINATE_READOUT_SETTINGS.maxFixAge - age);
+        }
+        readout.textContent = `📍 ${formatCoordinates(position.coords.latitude, position.coords.longitude)}`;
+        readout.title = 'Your position';
+        return;
+    }
+    const mapRef = window.leafletMap || map;
+    if (!mapRef) return;
+    const centre = mapRef.getCenter();
+    readout.textContent = `✛ ${formatCoordinates(centre.lat, centre.lng)}`;
+    readout.title = 'Map centre';
+}
+
+function goToCoordinates(text) {
+    const mapRef = window.leafletMap || map;
+    const position = parseCoordinates(text);
+    if (!position) {
+        alert('Could not read those coordinates. Try for example "S 25° 47.444, E 030° 47.547", "-25.7907, 30.7925" or "36J 278649 7145635".');
+        return false;
+    }
+    if (!mapRef) return false;
+
+    if (coordinateFormatState.searchMarker) mapRef.removeLayer(coordinateFormatState.searchMarker);
+    coordinateFormatState.searchMarker = L.circleMarker([position.lat, position.lon], {
+        radius: 9,
+        color: '#ffffff',
+        weight: 3,
+        fillColor: '#FF9800',
+        fillOpacity: 1,
+        bubblingMouseEvents: false
+    }).bindPopup(`
+        <b>Entered coordinates</b><br>
+        <small>${formatCoordinates(position.lat, position.lon)}</small><br>
+        <button class="btn-compact" onclick="saveNewWaypoint(${position.lat}, ${position.lon})">Save as Waypoint</button>
+        <button class="btn-compact" onclick="navigateToPoint(${position.lat}, ${position.lon}, 'Entered coordinates')">Go to</button>
+    `).addTo(mapRef);
+
+    if (typeof pauseFollowMode === 'function' && followModeState.enabled) pauseFollowMode();
+    mapRef.setView([position.lat, position.lon], Math.max(mapRef.getZoom(), 15));
+    coordinateFormatState.searchMarker.openPopup();
+    console.log('[Coordinates] Jumped to', position.lat, position.lon);
+    return true;
+}
+
+document.addEventListener('DOMContentLoaded', () => {
+    const savedFormat = localStorage.getItem(COORDINATE_FORMAT_KEY);
+    if (COORDINATE_FORMATS[savedFormat]) coordinateFormatState.format = savedFormat;
+
+    const select = document.getElementById('coordinate-format-select');
+    if (select) {
+        select.innerHTML = Object.keys(COORDINATE_FORMATS)
+            .map(key => `<option value="${key}">${COORDINATE_FORMATS[key].label}</option>`)
+            .join('');
+        select.value = coordinateFormatState.format;
+        select.addEventListener('change', event => setCoordinateFormat(event.target.value));
+    }
+
+    const form = document.getElementById('coordinate-search-form');
+    if (form) {
+        form.addEventListener('submit', event => {
+            event.preventDefault();
+            const input = document.getElementById('coordinate-search-input');
+            if (goToCoordinates(input.value)) input.blur();
+        });
+    }
+
+    const mapRef = window.leafletMap || map;
+    if (mapRef) mapRef.on('moveend', updateCoordinateReadout);
+    updateCoordinateReadout();
+});
+
+console.log('[Coordinates] coordinate_formats.js loaded.');
@@ -0,0 +1,319 @@
+// js/elevation_profile.js
+// Interactive elevation profiles computed from the trail geometry. Elevations come from the KML
+// coordinates where recorded (altitude 0 means unknown) and from the bundled DEM tiles in dem/
+// (built by tools/build_dem_tiles.js) for the rest; hovering the chart highlights the matching
+// point on the map.
+
+const ELEVATION_PROFILE_SETTINGS = {
+    // Terrarium-encoded PNG tiles (elevation = R * 256 + G + B / 256 - 32768), precached for offline use
+    demTileUrl: 'dem/{z}/{x}/{y}.png',
+    demZoom: 13,
+    demVoidBelow: -1000, // Voids in the source data are stored as the lowest value (metres)
+    minCoverage: 0.9, // Fraction of points that need a recorded or DEM elevation before a profile is drawn
+    climbThreshold: 3, // Ignore ups and downs smaller than this when totalling ascent/descent (metres)
+    gradientWindow: 100, // Distance over which the maximum gradient is measured (metres)
+    chartWidth: 600,
+    chartHeight: 160
+};
+
+let elevationProfileCache = {}; // { trailId: profile | null }
+let demTileCache = {}; // { 'z/x/y': ImageData | null }
+let elevationHighlightMarker = null;
+
+// Elevation from the bundled DEM, or null when no tile covers the point
+async function getDemElevation(lat, lon) {
+    const z = ELEVATION_PROFILE_SETTINGS.demZoom;
+    const scale = Math.pow(2, z);
+    const worldX = (lon + 180) / 360 * scale;
+    const latRad = toRadians(lat);
+    const worldY = (1 - Math.log(Math.tan(latRad) + 1 / Math.cos(latRad)) / Math.PI) / 2 * scale;
+    const x = Math.floor(worldX);
+    const y = Math.floor(worldY);
+
+    const tile = await loadDemTile(z, x, y);
+    if (!tile) return null;
+    const px = Math.min(tile.width - 1, Math.floor((worldX - x) * tile.width));
+    const py = Math.min(tile.height - 1, Math.floor((worldY - y) * tile.height));
+    const i = (py * tile.width + px) * 4;
+    const ele = tile.data[i] * 256 + tile.data[i + 1] + tile.data[i + 2] / 256 - 32768;
+    return ele < ELEVATION_PROFILE_SETTINGS.demVoidBelow ? null : ele;
+}
+
+async function loadDemTile(z, x, y) {
+    const key = `${z}/${x}/${y}`;
+    if (key in demTileCache) return demTileCache[key];
+
+    const url = ELEVATION_PROFILE_SETTINGS.demTileUrl.replace('{z}', z).replace('{x}', x).replace('{y}', y);
+    demTileCache[key] = null;
+    try {
+        const response = await fetch(url);
+        if (!response.ok) return null; // Outside the area the tile set covers
+        const bitmap = await createImageBitmap(await response.blob(), { colorSpaceConversion: 'none', premultiplyAlpha: 'none' });
+        const canvas = document.createElement('canvas');
+        canvas.width = bitmap.width;
+        canvas.height = bitmap.height;
+        const context = canvas.getContext('2d');
+        context.drawImage(bitmap, 0, 0);
+        demTileCache[key] = context.getImageData(0, 0, bitmap.width, bitmap.height);
+    } catch (error) {
+        console.warn(`[ElevationProfile] DEM tile ${key} not available:`, error);
+    }
+    return demTileCache[key];
+}
+
+// Samples along the trail: [{ distance, lat, lon, ele }] with the few unknown elevations filled in,
+// plus the fraction of points whose elevation was recorded or read from the DEM rather than interpolated
+async function buildElevationSamples(lines) {
+    const samples = [];
+    let offset = 0;
+    lines.forEach(line => {
+        const cumulative = cumulativeDistances(line.coordinates);
+        line.coordinates.forEach((coordinate, index) => {
+            samples.push({
+                distance: offset + cumulative[index],
+                lat: coordinate[1],
+                lon: coordinate[0],
+                ele: coordinate[2] ? coordinate[2] : null
+            });
+        });
+        offset += cumulative[cumulative.length - 1];
+    });
+
+    for (const sample of samples) {
+        if (sample.ele === null) sample.ele = await getDemElevation(sample.lat, sample.lon);
+    }
+
+    const known = samples.filter(sample => sample.ele !== null).length;
+    const coverage = samples.length > 0 ? known / samples.length : 0;
+    if (samples.length < 2 || coverage < ELEVATION_PROFILE_SETTINGS.minCoverage) return null;
+
+    interpolateMissingElevations(samples);
+    return { samples: samples, coverage: coverage };
+}
+
+// Linear interpolation by distance between known elevations; the ends are held level
+function interpolateMissingElevations(samples) {
+    let previous = -1;
+    samples.forEach((sample, index) => {
+        if (sample.ele === null) return;
+        for (let i = previous + 1; i < index; i++) {
+            samples[i].interpolated = true;
+            if (previous < 0) {
+                samples[i].ele = sample.ele;
+            } else {
+                const start = samples[previous];
+                const span = sample.distance - start.distance;
+                const t = span > 0 ? (samples[i].distance - start.distance) / span : 0;
+                samples[i].ele = start.ele + (sample.ele - start.ele) * t;
+            }
+        }
+        previous = index;
+    });
+    for (let i = previous + 1; i < samples.length; i++) {
+        samples[i].interpolated = true;
+        samples[i].ele = samples[previous].ele;
+    }
+}
+
+function computeElevationStats(samples) {
+    let ascent = 0;
+    let descent = 0;
+    let reference = samples[0].ele;
+    let minEle = Infinity;
+    let maxEle = -Infinity;
+    let maxGradient = 0;
+    let windowStart = 0;
+
+    samples.forEach(sample => {
+        minEle = Math.min(minEle, sample.ele);
+        maxEle = Math.max(maxEle, sample.ele);
+
+        const change = sample.ele - reference;
+        if (Math.abs(change) >= ELEVATION_PROFILE_SETTINGS.climbThreshold) {
+            if (change > 0) ascent += change;
+            else descent -= change;
+            reference = sample.ele;
+        }
+
+        // Latest sample at least one gradient window behind this one
+        while (sample.distance - samples[windowStart + 1].distance >= ELEVATION_PROFILE_SETTINGS.gradientWindow) {
+            windowStart++;
+        }
+        const start = samples[windowStart];
+        const run = sample.distance - start.distance;
+        if (run >= ELEVATION_PROFILE_SETTINGS.gradientWindow) {
+            maxGradient = Math.max(maxGradient, Math.abs(sample.ele - start.ele) / run * 100);
+        }
+    });
+
+    return {
+        distance: samples[samples.length - 1].distance,
+        ascent: ascent,
+        descent: descent,
+        minEle: minEle,
+        maxEle: maxEle,
+        maxGradient: maxGradient
+    };
+}
+
+async function getTrailElevationProfile(trailId) {
+    if (trailId in elevationProfileCache) return elevationProfileCache[trailId];
+
+    const layer = await loadTrail(trailId);
+    if (!layer) return null;
+    const built = await buildElevationSamples(extractLineStrings(layer.toGeoJSON()));
+    const profile = built ? { samples: built.samples, coverage: built.coverage, stats: computeElevationStats(built.samples) } : null;
+    elevationProfileCache[trailId] = profile;
+    if (!profile) console.log(`[ElevationProfile] Not enough elevation data for ${trailId}`);
+    return profile;
+}
+
+function renderElevationProfile(container, profile) {
+    const width = ELEVATION_PROFILE_SETTINGS.chartWidth;
+    const height = ELEVATION_PROFILE_SETTINGS.chartHeight;
+    const padding = { top: 10, right: 10, bottom: 20, left: 40 };
+    const stats = profile.stats;
+    const range = Math.max(stats.maxEle - stats.minEle, 10);
+    const x = distance => padding.left + distance / stats.distance * (width - padding.left - padding.right);
+    const y = ele => height - padding.bottom - (ele - stats.minEle) / range * (height - padding.top - padding.bottom);
+
+    const points = profile.samples.map(sample => `${x(sample.distance).toFixed(1)},${y(sample.ele).toFixed(1)}`).join(' ');
+    const baseline = height - padding.bottom;
+
+    // Interpolated stretches make the totals and gradient approximate; say so rather than imply a measurement
+    const estimated = profile.coverage < 1;
+    const approx = estimated ? '≈' : '';
+
+    container.innerHTML = `
+        <div class="elevation-profile-stats">
+            <span>↗ ${approx}${Math.round(stats.ascent)} m</span>
+            <span>↘ ${approx}${Math.round(stats.descent)} m</span>
+            <span>Max gradient ${approx}${Math.round(stats.maxGradient)}%</span>
+            <span>${approx}${Math.round(stats.minEle)}–${Math.round(stats.maxEle)} m</span>
+        </div>
+        ${estimated ? `<div class="elevation-profile-missing">Estimated: ${Math.round(profile.coverage * 100)}% of points have a recorded elevation, the rest are interpolated.</div>` : ''}
+        <svg class="elevation-profile-chart" viewBox="0 0 ${width} ${height}" preserveAspectRatio="none">
+            <polygon points="${x(0)},${baseline} ${points} ${x(stats.distance)},${baseline}" fill="rgba(46, 125, 50, 0.25)"></polygon>
+            <polyline points="${points}" fill="none" stroke="#2E7D32" stroke-width="2"></polyline>
+            <text x="2" y="${padding.top + 10}" font-size="11">${Math.round(stats.minEle + range)} m</text>
+            <text x="2" y="${baseline}" font-size="11">${Math.round(stats.minEle)} m</text>
+            <text x="${width - padding.right}" y="${height - 4}" font-size="11" text-anchor="end">${formatDistance(stats.distance)}</text>
+            <line class="elevation-profile-cursor" y1="${padding.top}" y2="${baseline}" stroke="#d32f2f" stroke-width="1" visibility="hidden"></line>
+        </svg>
+        <div class="elevation-profile-readout">Hover or drag along the profile to find the point on the map.</div>`;
+
+    const svg = container.querySelector('svg');
+    const cursor = container.querySelector('.elevation-profile-cursor');
+    const readout = container.querySelector('.elevation-profile-readout');
+
+    const handlePointer = event => {
+        const rect = svg.getBoundingClientRect();
+        const clientX = event.touches ? event.touches[0].clientX : event.clientX;
+        const chartX = (clientX - rect.left) / rect.width * width;
+        const distance = Math.max(0, Math.min(stats.distance, (chartX - padding.left) / (width - padding.left - padding.right) * stats.distance));
+        const sample = findSampleAtDistance(profile.samples, distance);
+
+        cursor.setAttribute('x1', x(sample.distance));
+        cursor.setAttribute('x2', x(sample.distance));
+        cursor.setAttribute('visibility', 'visible');
+        readout.textContent = `${formatDistance(sample.distance)} · ${sample.interpolated ? '≈' : ''}${Math.round(sample.ele)} m`;
+        highlightElevationPoint(sample);
+    };
+    const clearPointer = () => {
+        cursor.setAttribute('visibility', 'hidden');
+        highlightElevationPoint(null);
+    };
+
+    svg.addEventListener('mousemove', handlePointer);
+    svg.addEventListener('touchstart', handlePointer, { passive: true });
+    svg.addEventListener('touchmove', handlePointer, { passive: true });
+    svg.addEventListener('mouseleave', clearPointer);
+    svg.addEventListener('touchend', clearPointer);
+}
+
+function findSampleAtDistance(samples, distance) {
+    let low = 0;
+    let high = samples.length - 1;
+    while (high - low > 1) {
+        const mid = (low + high) >> 1;
+        if (samples[mid].distance < distance) low = mid;
+        else high = mid;
+    }
+    return distance - samples[low].distance < samples[high].distance - distance ? samples[low] : samples[high];
+}
+
+function highlightElevationPoint(sample) {
+    const mapRef = window.leafletMap || map;
+    if (!mapRef) return;
+
+    if (!sample) {
+        if (elevationHighlightMarker) {
+            mapRef.removeLayer(elevationHighlightMarker);
+            elevationHighlightMarker = null;
+        }
+        return;
+    }
+
+    if (elevationHighlightMarker) {
+        elevationHighlightMarker.setLatLng([sample.lat, sample.lon]);
+    } else {
+        elevationHighlightMarker = L.circleMarker([sample.lat, sample.lon], {
+            radius: 7,
+            fillColor: '#d32f2f',
+            color: '#ffffff',
+            weight: 2,
+            fillOpacity: 1,
+            interactive: false
+        }).addTo(mapRef);
+    }
+}
+
+// Trails section: replace the static JPG once a computed profile is available
+async function showTrailCardElevationProfile(container, trailId) {
+    const profile = await getTrailElevationProfile(trailId);
+    if (!profile) {
+        if (!container.querySelector('img')) {
+            container.innerHTML = '<p class="elevation-profile-missing">No elevation data available for this trail.</p>';
+        }
+        return;
+    }
+    renderElevationProfile(container, profile);
+}
+
+// Map section: profile of the trail currently displayed, linked to the map
+async function showMapElevationProfile(trailId) {
+    const panel = document.getElementById('map-elevation-profile');
+    if (!panel) return;
+    highlightElevationPoint(null);
+
+    const profile = trailId && trailId !== 'none' ? await getTrailElevationProfile(trailId) : null;
+    const trailSelect = document.getElementById('trail-select');
+    if (trailId && trailSelect && trailSelect.value !== trailId) return; // Another trail was chosen meanwhile
+    const body = panel.querySelector('.elevation-profile-body');
+    if (!profile) {
+        panel.style.display = 'none';
+        body.innerHTML = '';
+        return;
+    }
+    panel.style.display = 'block';
+    renderElevationProfile(body, profile);
+}
+
+// Profiles need the trail KML, so cards are only rendered once scrolled into view
+function initializeTrailCardElevationProfiles() {
+    const containers = document.querySelectorAll('.trail-elevation-profile[data-trail-id]');
+    if (!('IntersectionObserver' in window)) {
+        containers.forEach(container => showTrailCardElevationProfile(container, container.dataset.trailId));
+        return;
+    }
+    const observer = new IntersectionObserver(entries => {
+        entries.forEach(entry => {
+            if (!entry.isIntersecting) return;
+            observer.unobserve(entry.target);
+            showTrailCardElevationProfile(entry.target, entry.target.dataset.trailId);
+        });
+    }, { rootMargin: '200px' });
+    containers.forEach(container => observer.observe(container));
+}
+
+console.log('[ElevationProfile] elevation_profile.js loaded.');
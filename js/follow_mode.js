@@ -0,0 +1,119 @@
+// js/follow_mode.js
+// Follow-me mode: keeps the user dot centred while walking (in the lower third in heading-up mode,
+// so more of the way ahead is visible). Panning the map pauses following and shows a Recenter
+// button on the map that resumes it.
+
+let followModeState = {
+    enabled: false,
+    paused: false,
+    startedByTracking: false, // Turned on by live tracking, so stopping live tracking turns it off
+    recenterControl: null,
+    mapEventsBound: false
+};
+
+function followUser() {
+    const mapRef = window.leafletMap || map;
+    const position = locationServiceState.lastPosition;
+    if (!followModeState.enabled || followModeState.paused || !mapRef || !position) return;
+
+    const latLng = L.latLng(position.coords.latitude, position.coords.longitude);
+    const heading = typeof getCurrentHeading === 'function' ? getCurrentHeading() : null;
+    if (typeof locationHeadingState !== 'undefined' && locationHeadingState.headingUp && heading !== null) {
+        // Centre the map a sixth of the frame height ahead of the user: the dot sits in the lower third
+        const ahead = locationHeadingState.frameHeight / 6;
+        const angle = heading * Math.PI / 180;
+        const point = mapRef.latLngToLayerPoint(latLng).add(L.point(ahead * Math.sin(angle), -ahead * Math.cos(angle)));
+        mapRef.panTo(mapRef.layerPointToLatLng(point), { animate: false });
+    } else {
+        mapRef.panTo(latLng, { animate: true, duration: 0.5 });
+    }
+}
+
+function pauseFollowMode() {
+    if (!followModeState.enabled || followModeState.paused) return;
+    followModeState.paused = true;
+    console.log('[FollowMode] Paused by map pan');
+    showRecenterControl(true);
+    updateFollowModeButton();
+}
+
+function resumeFollowMode() {
+    followModeState.paused = false;
+    showRecenterControl(false);
+    updateFollowModeButton();
+    followUser();
+}
+
+function showRecenterControl(visible) {
+    const mapRef = window.leafletMap || map;
+    if (!mapRef) return;
+
+    if (!followModeState.recenterControl) {
+        followModeState.recenterControl = L.control({ position: 'bottomright' });
+        followModeState.recenterControl.onAdd = function() {
+            const container = L.DomUtil.create('div', 'leaflet-control leaflet-bar follow-recenter-control');
+            container.innerHTML = '<button type="button" title="Follow my position again">⌖ Recenter</button>';
+            L.DomEvent.disableClickPropagation(container);
+            container.querySelector('button').addEventListener('click', resumeFollowMode);
+            return container;
+        };
+    }
+    if (visible) {
+        followModeState.recenterControl.addTo(mapRef);
+    } else {
+        followModeState.recenterControl.remove();
+    }
+}
+
+function updateFollowModeButton() {
+    const button = document.getElementById('follow-me-btn');
+    if (!button) return;
+    button.classList.toggle('active', followModeState.enabled);
+    button.textContent = followModeState.enabled && followModeState.paused ? '🎯 Follow (paused)' : '🎯 Follow';
+}
+
+function setFollowMode(enabled) {
+    const mapRef = window.leafletMap || map;
+    if (enabled === followModeState.enabled) return;
+
+    if (enabled) {
+        // Passive: following recentres on whatever fixes arrive and doesn't undo live tracking's battery saving
+        if (!subscribeToLocation('followMode', followUser, null, { passive: true })) return;
+        if (mapRef && !followModeState.mapEventsBound) {
+            // dragstart only fires for user pans, never for panTo
+            mapRef.on('dragstart', pauseFollowMode);
+            followModeState.mapEventsBound = true;
+        }
+        followModeState.enabled = true;
+        followModeState.paused = false;
+        followUser();
+    } else {
+        unsubscribeFromLocation('followMode');
+        followModeState.enabled = false;
+        followModeState.paused = false;
+        followModeState.startedByTracking = false;
+        showRecenterControl(false);
+        // Heading-up without following would leave an undraggable map behind
+        if (typeof locationHeadingState !== 'undefined' && locationHeadingState.headingUp) {
+            setHeadingUpMode(false);
+        }
+    }
+    console.log(`[FollowMode] Follow mode ${enabled ? 'on' : 'off'}`);
+    updateFollowModeButton();
+}
+
+function toggleFollowMode() {
+    if (followModeState.enabled && followModeState.paused) {
+        resumeFollowMode();
+        return;
+    }
+    followModeState.startedByTracking = false;
+    setFollowMode(!followModeState.enabled);
+}
+
+document.addEventListener('DOMContentLoaded', () => {
+    const button = document.getElementById('follow-me-btn');
+    if (button) button.addEventListener('click', toggleFollowMode);
+});
+
+console.log('[FollowMode] follow_mode.js loaded.');
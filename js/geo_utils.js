@@ -0,0 +1,158 @@
+// js/geo_utils.js
+// Shared geometry and formatting helpers used by the GPS tracking and trail features.
+
+const EARTH_RADIUS_METERS = 6371000;
+
+function toRadians(degrees) {
+    return degrees * Math.PI / 180;
+}
+
+// Great-circle distance in metres between two lat/lon pairs
+function haversineDistance(lat1, lon1, lat2, lon2) {
+    const dLat = toRadians(lat2 - lat1);
+    const dLon = toRadians(lon2 - lon1);
+    const a = Math.sin(dLat / 2) * Math.sin(dLat / 2) +
+        Math.cos(toRadians(lat1)) * Math.cos(toRadians(lat2)) *
+        Math.sin(dLon / 2) * Math.sin(dLon / 2);
+    return 2 * EARTH_RADIUS_METERS * Math.atan2(Math.sqrt(a), Math.sqrt(1 - a));
+}
+
+// Initial great-circle bearing from the first point to the second, degrees clockwise from north
+function initialBearing(lat1, lon1, lat2, lon2) {
+    const phi1 = toRadians(lat1);
+    const phi2 = toRadians(lat2);
+    const deltaLambda = toRadians(lon2 - lon1);
+    const y = Math.sin(deltaLambda) * Math.cos(phi2);
+    const x = Math.cos(phi1) * Math.sin(phi2) - Math.sin(phi1) * Math.cos(phi2) * Math.cos(deltaLambda);
+    return (Math.atan2(y, x) * 180 / Math.PI + 360) % 360;
+}
+
+// "NE" style compass point for a bearing in degrees
+function formatCompassPoint(bearing) {
+    const points = ['N', 'NE', 'E', 'SE', 'S', 'SW', 'W', 'NW'];
+    return points[Math.round(bearing / 45) % 8];
+}
+
+// "850 m" below one kilometre, "12.35 km" above
+function formatDistance(meters) {
+    if (typeof meters !== 'number' || isNaN(meters)) return 'N/A';
+    if (meters < 1000) return `${Math.round(meters)} m`;
+    return `${(meters / 1000).toFixed(2)} km`;
+}
+
+// "1h 05m" for long durations, "12m 30s" for short ones
+function formatDuration(milliseconds) {
+    if (typeof milliseconds !== 'number' || isNaN(milliseconds) || milliseconds < 0) return 'N/A';
+    const totalSeconds = Math.floor(milliseconds / 1000);
+    const hours = Math.floor(totalSeconds / 3600);
+    const minutes = Math.floor((totalSeconds % 3600) / 60);
+    const seconds = totalSeconds % 60;
+    if (hours > 0) return `${hours}h ${minutes.toString().padStart(2, '0')}m`;
+    return `${minutes}m ${seconds.toString().padStart(2, '0')}s`;
+}
+
+// Flatten the LineString/MultiLineString features of a GeoJSON FeatureCollection
+// into [{ name, coordinates: [[lon, lat, ele?], ...] }]
+function extractLineStrings(geojson) {
+    const lines = [];
+    if (!geojson || !geojson.features) return lines;
+    geojson.features.forEach(feature => {
+        if (!feature.geometry) return;
+        const name = (feature.properties && feature.properties.name) || '';
+        if (feature.geometry.type === 'LineString') {
+            lines.push({ name: name, coordinates: feature.geometry.coordinates });
+        } else if (feature.geometry.type === 'MultiLineString') {
+            feature.geometry.coordinates.forEach(coordinates => {
+                lines.push({ name: name, coordinates: coordinates });
+            });
+        }
+    });
+    return lines;
+}
+
+// Nearest point on a line of GeoJSON [lon, lat] coordinates. Segments are projected onto a local
+// flat plane around the query point, which is accurate at trail scale (a few kilometres).
+// Returns { distance, lat, lon, segmentIndex, fraction } or null for an empty line.
+function nearestPointOnLine(lat, lon, coordinates) {
+    if (!coordinates || coordinates.length === 0) return null;
+
+    const metersPerDegLat = toRadians(EARTH_RADIUS_METERS);
+    const metersPerDegLon = metersPerDegLat * Math.cos(toRadians(lat));
+    const toLocal = coordinate => ({
+        x: (coordinate[0] - lon) * metersPerDegLon,
+        y: (coordinate[1] - lat) * metersPerDegLat
+    });
+
+    let best = null;
+    if (coordinates.length === 1) {
+        const p = toLocal(coordinates[0]);
+        return { distance: Math.hypot(p.x, p.y), lat: coordinates[0][1], lon: coordinates[0][0], segmentIndex: 0, fraction: 0 };
+    }
+
+    for (let i = 0; i < coordinates.length - 1; i++) {
+        const a = toLocal(coordinates[i]);
+        const b = toLocal(coordinates[i + 1]);
+        const dx = b.x - a.x;
+        const dy = b.y - a.y;
+        const lengthSquared = dx * dx + dy * dy;
+        // The query point is the origin of the local plane
+        let t = lengthSquared > 0 ? -(a.x * dx + a.y * dy) / lengthSquared : 0;
+        t = Math.max(0, Math.min(1, t));
+        const px = a.x + t * dx;
+        const py = a.y + t * dy;
+        const distance = Math.hypot(px, py);
+        if (!best || distance < best.distance) {
+            best = {
+                distance: distance,
+                lat: lat + py / metersPerDegLat,
+                lon: lon + px / metersPerDegLon,
+                segmentIndex: i,
+                fraction: t
+            };
+        }
+    }
+    return best;
+}
+
+// Nearest point across several lines (as returned by extractLineStrings); adds lineIndex to the result
+function nearestPointOnLines(lat, lon, lines) {
+    let best = null;
+    lines.forEach((line, lineIndex) => {
+        const candidate = nearestPointOnLine(lat, lon, line.coordinates);
+        if (candidate && (!best || candidate.distance < best.distance)) {
+            best = Object.assign(candidate, { lineIndex: lineIndex });
+        }
+    });
+    return best;
+}
+
+// Point where two segments of [lon, lat] coordinates cross, or null when they don't. Degrees are
+// treated as a flat plane, which is close enough over the length of one trail segment.
+function segmentIntersection(a, b, c, d) {
+    const denominator = (b[0] - a[0]) * (d[1] - c[1]) - (b[1] - a[1]) * (d[0] - c[0]);
+    if (denominator === 0) return null; // Parallel
+    const t = ((c[0] - a[0]) * (d[1] - c[1]) - (c[1] - a[1]) * (d[0] - c[0])) / denominator;
+    const u = ((c[0] - a[0]) * (b[1] - a[1]) - (c[1] - a[1]) * (b[0] - a[0])) / denominator;
+    if (t < 0 || t > 1 || u < 0 || u > 1) return null;
+    return [a[0] + t * (b[0] - a[0]), a[1] + t * (b[1] - a[1])];
+}
+
+// Running distance in metres at each vertex of a line of [lon, lat] coordinates
+function cumulativeDistances(coordinates) {
+    const distances = [0];
+    for (let i = 1; i < coordinates.length; i++) {
+        const previous = coordinates[i - 1];
+        const current = coordinates[i];
+        distances.push(distances[i - 1] + haversineDistance(previous[1], previous[0], current[1], current[0]));
+    }
+    return distances;
+}
+
+// Distance along a line to a point found by nearestPointOnLine, using its cumulativeDistances
+function distanceAlongLine(cumulative, nearest) {
+    const start = cumulative[nearest.segmentIndex];
+    const end = cumulative[Math.min(nearest.segmentIndex + 1, cumulative.length - 1)];
+    return start + (end - start) * nearest.fraction;
+}
+
+console.log('[GeoUtils] geo_utils.js loaded.');
@@ -0,0 +1,387 @@
+// js/gps_tracking.js
+// GPS track recorder: records breadcrumb points from watchPosition, draws them live on the map
+// and saves finished hikes to the recorded_tracks store in QueenRoseAppDB.
+
+let trackRecorderState = {
+    status: 'idle', // 'idle' | 'recording' | 'paused'
+    startTime: null,
+    segments: [], // One array of points per recording stretch; pausing starts a new segment
+    distance: 0, // metres
+    movingTime: 0, // milliseconds
+    polyline: null,
+    timerId: null
+};
+
+// Thresholds used to filter GPS noise while recording
+const TRACK_RECORDING_SETTINGS = {
+    maxAccuracy: 50, // Ignore fixes less accurate than this (metres)
+    minPointDistance: 5, // Ignore jitter smaller than this between points (metres)
+    movingSpeedThreshold: 0.5, // Below this speed the hiker counts as stopped (m/s)
+    maxMovingGap: 60000 // Gaps longer than this between fixes never count as moving time (ms)
+};
+
+let recordedTrackLayer = null; // Saved track currently shown from the My Tracks list
+
+// Initialize track recorder controls
+function initializeTrackRecorder() {
+    console.log('[GPSTracking] Initializing track recorder');
+
+    const recordButton = document.getElementById('track-record-btn');
+    const pauseButton = document.getElementById('track-pause-btn');
+    const stopButton = document.getElementById('track-stop-btn');
+
+    if (!recordButton || !pauseButton || !stopButton) {
+        console.error('[GPSTracking] Track recorder buttons not found in HTML');
+        return;
+    }
+
+    recordButton.addEventListener('click', startTrackRecording);
+    pauseButton.addEventListener('click', () => {
+        if (trackRecorderState.status === 'recording') {
+            pauseTrackRecording();
+        } else if (trackRecorderState.status === 'paused') {
+            resumeTrackRecording();
+        }
+    });
+    stopButton.addEventListener('click', stopTrackRecording);
+
+    updateTrackRecorderUI();
+}
+
+// Start a new recording
+function startTrackRecording() {
+    if (trackRecorderState.status !== 'idle') {
+        console.warn('[GPSTracking] Recording already in progress');
+        return;
+    }
+    if (!isLocationSupported()) {
+        alert('Geolocation is not supported by this browser.');
+        return;
+    }
+
+    const mapRef = window.leafletMap || map;
+    if (!mapRef) {
+        console.error('[GPSTracking] Map not available');
+        return;
+    }
+
+    console.log('[GPSTracking] Starting track recording');
+
+    trackRecorderState.startTime = Date.now();
+    trackRecorderState.segments = [[]];
+    trackRecorderState.distance = 0;
+    trackRecorderState.movingTime = 0;
+    trackRecorderState.polyline = L.polyline([[]], {
+        color: '#ff9800',
+        weight: 4,
+        opacity: 0.9
+    }).addTo(mapRef);
+
+    trackRecorderState.status = 'recording';
+    startTrackWatch();
+    trackRecorderState.timerId = setInterval(updateTrackRecorderUI, 1000);
+    updateTrackRecorderUI();
+}
+
+// Pause recording; the GPS watch is released to save battery
+function pauseTrackRecording() {
+    if (trackRecorderState.status !== 'recording') return;
+    console.log('[GPSTracking] Pausing track recording');
+    stopTrackWatch();
+    trackRecorderState.status = 'paused';
+    updateTrackRecorderUI();
+}
+
+// Resume recording into a new segment so the pause gap is not drawn or measured
+function resumeTrackRecording() {
+    if (trackRecorderState.status !== 'paused') return;
+    console.log('[GPSTracking] Resuming track recording');
+
+    const currentSegment = trackRecorderState.segments[trackRecorderState.segments.length - 1];
+    if (currentSegment.length > 0) {
+        trackRecorderState.segments.push([]);
+        const latlngs = trackRecorderState.polyline.getLatLngs();
+        latlngs.push([]);
+        trackRecorderState.polyline.setLatLngs(latlngs);
+    }
+
+    trackRecorderState.status = 'recording';
+    startTrackWatch();
+    updateTrackRecorderUI();
+}
+
+// Stop recording and save the track
+async function stopTrackRecording() {
+    if (trackRecorderState.status === 'idle') return;
+    console.log('[GPSTracking] Stopping track recording');
+
+    stopTrackWatch();
+    clearInterval(trackRecorderState.timerId);
+    trackRecorderState.timerId = null;
+
+    const endTime = Date.now();
+    const segments = trackRecorderState.segments.filter(segment => segment.length > 0);
+    const pointCount = segments.reduce((total, segment) => total + segment.length, 0);
+
+    if (pointCount < 2) {
+        console.warn('[GPSTracking] Not enough points recorded to save a track');
+        notifyTrackRecorder('warning', 'Track Not Saved', 'Not enough GPS points were recorded to save this track.');
+    } else {
+        const defaultName = `Hike ${new Date(trackRecorderState.startTime).toLocaleDateString()}`;
+        const name = prompt('Enter a name for this track:', defaultName);
+        await saveRecordedTrack({
+            name: name || defaultName,
+            startTime: trackRecorderState.startTime,
+            endTime: endTime,
+            segments: segments,
+            distance: trackRecorderState.distance,
+            duration: endTime - trackRecorderState.startTime,
+            movingTime: trackRecorderState.movingTime
+        });
+    }
+
+    const mapRef = window.leafletMap || map;
+    if (trackRecorderState.polyline && mapRef) {
+        mapRef.removeLayer(trackRecorderState.polyline);
+    }
+    trackRecorderState.polyline = null;
+    trackRecorderState.segments = [];
+    trackRecorderState.status = 'idle';
+    updateTrackRecorderUI();
+
+    if (typeof offerPendingAppUpdate === 'function') offerPendingAppUpdate();
+}
+
+// Fixes come from the shared watch in location_service.js
+function startTrackWatch() {
+    subscribeToLocation('trackRecorder', handleTrackPosition, handleTrackRecordingError);
+}
+
+function stopTrackWatch() {
+    unsubscribeFromLocation('trackRecorder');
+}
+
+// Append a breadcrumb point to the current segment
+function handleTrackPosition(position) {
+    if (trackRecorderState.status !== 'recording') return;
+
+    const coords = position.coords;
+    if (coords.accuracy > TRACK_RECORDING_SETTINGS.maxAccuracy) {
+        console.log(`[GPSTracking] Skipping inaccurate fix (${Math.round(coords.accuracy)}m)`);
+        return;
+    }
+
+    const point = {
+        lat: coords.latitude,
+        lon: coords.longitude,
+        ele: typeof coords.altitude === 'number' ? coords.altitude : null,
+        time: position.timestamp || Date.now(),
+        accuracy: coords.accuracy
+    };
+
+    const segment = trackRecorderState.segments[trackRecorderState.segments.length - 1];
+    const previous = segment[segment.length - 1];
+
+    if (previous) {
+        const step = haversineDistance(previous.lat, previous.lon, point.lat, point.lon);
+        if (step < TRACK_RECORDING_SETTINGS.minPointDistance) {
+            return; // GPS jitter while standing still
+        }
+        const elapsed = point.time - previous.time;
+        trackRecorderState.distance += step;
+        if (elapsed > 0 && elapsed <= TRACK_RECORDING_SETTINGS.maxMovingGap &&
+            step / (elapsed / 1000) >= TRACK_RECORDING_SETTINGS.movingSpeedThreshold) {
+            trackRecorderState.movingTime += elapsed;
+        }
+    }
+
+    segment.push(point);
+
+    if (trackRecorderState.polyline) {
+        const latlngs = trackRecorderState.polyline.getLatLngs();
+        trackRecorderState.polyline.addLatLng([point.lat, point.lon], latlngs[latlngs.length - 1]);
+    }
+    updateTrackRecorderUI();
+}
+
+function handleTrackRecordingError(error) {
+    console.error('[GPSTracking] Error:', error);
+    if (error.code === error.PERMISSION_DENIED) {
+        notifyTrackRecorder('error', 'Recording Stopped', 'Location access was denied. Enable location services to record tracks.');
+        stopTrackRecording();
+    }
+    // Timeouts and unavailable fixes are expected under tree cover; keep the watch running
+}
+
+// Persist a finished track to recorded_tracks
+async function saveRecordedTrack(track) {
+    try {
+        if (typeof db === 'undefined' || !db.recorded_tracks) {
+            throw new Error('Database not available');
+        }
+        const id = await db.recorded_tracks.add(track);
+        console.log(`[GPSTracking] Track "${track.name}" saved with ID: ${id}`);
+        notifyTrackRecorder('success', 'Track Saved', `${escapeXml(track.name)}: ${formatDistance(track.distance)} in ${formatDuration(track.duration)}`);
+        loadAndDisplayRecordedTracks();
+        return id;
+    } catch (error) {
+        console.error('[GPSTracking] Error saving track:', error);
+        notifyTrackRecorder('error', 'Track Not Saved', 'Could not save the recorded track. See console for details.');
+        return null;
+    }
+}
+
+function updateTrackRecorderUI() {
+    const recordButton = document.getElementById('track-record-btn');
+    const pauseButton = document.getElementById('track-pause-btn');
+    const stopButton = document.getElementById('track-stop-btn');
+    const statusElement = document.getElementById('track-recorder-status');
+    const status = trackRecorderState.status;
+
+    if (recordButton) {
+        recordButton.disabled = status !== 'idle';
+        recordButton.classList.toggle('active', status !== 'idle');
+    }
+    if (pauseButton) {
+        pauseButton.disabled = status === 'idle';
+        pauseButton.textContent = status === 'paused' ? '▶ Resume' : '⏸ Pause';
+    }
+    if (stopButton) {
+        stopButton.disabled = status === 'idle';
+    }
+    if (statusElement) {
+        statusElement.classList.toggle('active', status === 'recording');
+        if (status === 'idle') {
+            statusElement.textContent = 'Not recording';
+        } else {
+            const elapsed = Date.now() - trackRecorderState.startTime;
+            const prefix = status === 'paused' ? 'Paused' : 'Rec';
+            statusElement.textContent = `${prefix} ${formatDistance(trackRecorderState.distance)} · ${formatDuration(elapsed)}`;
+        }
+    }
+}
+
+function notifyTrackRecorder(type, title, message) {
+    if (window.toastSystem) {
+        window.toastSystem[type](title, message);
+    } else {
+        alert(`${title}\n${message}`);
+    }
+}
+
+// --- My Tracks section ---
+
+async function loadAndDisplayRecordedTracks() {
+    const container = document.getElementById('recorded-tracks-list-container');
+    if (!container) {
+        console.error('[GPSTracking] Recorded tracks list container not found');
+        return;
+    }
+
+    try {
+        const tracks = await db.recorded_tracks.orderBy('startTime').reverse().toArray();
+        container.innerHTML = '';
+        if (typeof displayTripStatsSummary === 'function') displayTripStatsSummary(tracks);
+
+        if (tracks.length === 0) {
+            container.innerHTML = '<p>No tracks recorded yet.</p>';
+            return;
+        }
+
+        tracks.forEach(track => addRecordedTrackToList(track, container));
+    } catch (error) {
+        console.error('[GPSTracking] Error loading recorded tracks:', error);
+        container.innerHTML = '<p>Error loading recorded tracks.</p>';
+    }
+}
+
+function addRecordedTrackToList(track, container) {
+    const item = document.createElement('div');
+    item.className = 'track-list-item';
+    item.setAttribute('data-track-id', track.id);
+    item.innerHTML = `
+        <h4>${escapeXml(track.name)}</h4>
+        <p>Distance: ${formatDistance(track.distance)}</p>
+        <p>Duration: ${formatDuration(track.duration)} (moving ${formatDuration(track.movingTime)})</p>
+        <p><small>Started: ${new Date(track.startTime).toLocaleString()}</small></p>
+    `;
+
+    const viewButton = document.createElement('button');
+    viewButton.textContent = 'View on Map';
+    viewButton.onclick = () => viewRecordedTrackOnMap(track);
+
+    const replayButton = document.createElement('button');
+    replayButton.textContent = 'Replay';
+    replayButton.onclick = () => startTrackReplay(track);
+
+    const statsButton = document.createElement('button');
+    statsButton.textContent = 'Statistics';
+    statsButton.onclick = () => toggleTrackStats(track, item);
+
+    const compareButton = document.createElement('button');
+    compareButton.textContent = 'Compare with Trail';
+    compareButton.onclick = () => toggleTrackComparison(track, item);
+
+    const exportButton = document.createElement('button');
+    exportButton.textContent = 'Export GPX';
+    exportButton.onclick = () => exportTrackAsGPX(track);
+
+    const deleteButton = document.createElement('button');
+    deleteButton.textContent = 'Delete';
+    deleteButton.onclick = async () => {
+        if (confirm(`Are you sure you want to delete track "${track.name}"?`)) {
+            try {
+                await db.recorded_tracks.delete(track.id);
+                console.log('[GPSTracking] Deleted track ID:', track.id);
+                loadAndDisplayRecordedTracks();
+            } catch (error) {
+                console.error('[GPSTracking] Error deleting track:', error);
+                alert('Error deleting track.');
+            }
+        }
+    };
+
+    item.appendChild(viewButton);
+    item.appendChild(replayButton);
+    item.appendChild(statsButton);
+    item.appendChild(compareButton);
+    item.appendChild(exportButton);
+    item.appendChild(deleteButton);
+    container.appendChild(item);
+}
+
+function viewRecordedTrackOnMap(track) {
+    const mapRef = window.leafletMap || map;
+    if (!mapRef) {
+        console.error('[GPSTracking] Map not available');
+        return;
+    }
+
+    if (recordedTrackLayer) {
+        mapRef.removeLayer(recordedTrackLayer);
+    }
+    const latlngs = track.segments.map(segment => segment.map(point => [point.lat, point.lon]));
+    recordedTrackLayer = L.polyline(latlngs, {
+        color: '#ff9800',
+        weight: 4,
+        opacity: 0.9
+    }).bindPopup(`<b>${escapeXml(track.name)}</b><br>${formatDistance(track.distance)} · ${formatDuration(track.duration)}`)
+        .addTo(mapRef);
+
+    if (typeof switchSection === 'function') switchSection('map');
+    mapRef.fitBounds(recordedTrackLayer.getBounds());
+}
+
+// Initialize when DOM is ready
+document.addEventListener('DOMContentLoaded', function() {
+    console.log('[GPSTracking] DOM ready, initializing track recorder');
+    initializeTrackRecorder();
+});
+
+// Warn before losing an unsaved recording
+window.addEventListener('beforeunload', function(event) {
+    if (trackRecorderState.status !== 'idle') {
+        event.preventDefault();
+        event.returnValue = '';
+    }
+});
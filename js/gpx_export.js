@@ -0,0 +1,173 @@
+// js/gpx_export.js
+// GPX 1.1 writer for waypoints (<wpt>), recorded tracks (<trk>) and official trails (<rte>).
+// All text content goes through escapeXml (kml_management.js).
+
+const GPX_CREATOR = 'QueenRoseApp';
+
+function gpxTime(value) {
+    if (value === null || value === undefined) return null;
+    const date = new Date(value);
+    return isNaN(date.getTime()) ? null : date.toISOString();
+}
+
+function gpxElevation(ele) {
+    return typeof ele === 'number' && !isNaN(ele) ? `<ele>${ele.toFixed(1)}</ele>` : '';
+}
+
+function gpxWaypointXml(waypoint) {
+    const time = gpxTime(waypoint.timestamp);
+    const category = typeof getWaypointCategory === 'function' ? getWaypointCategory(waypoint) : null;
+    const children = [
+        gpxElevation(waypoint.ele),
+        time ? `<time>${time}</time>` : '',
+        `<name>${escapeXml(waypoint.name)}</name>`,
+        typeof formatCoordinates === 'function' ? `<cmt>${escapeXml(formatCoordinates(waypoint.lat, waypoint.lon))}</cmt>` : '',
+        waypoint.description ? `<desc>${escapeXml(waypoint.description)}</desc>` : '',
+        `<sym>${category ? escapeXml(category.gpxSymbol) : 'flag'}</sym>`,
+        waypoint.category ? `<type>${escapeXml(waypoint.category)}</type>` : ''
+    ].filter(Boolean);
+    return `  <wpt lat="${waypoint.lat}" lon="${waypoint.lon}">
+${children.map(child => `    ${child}`).join('\n')}
+  </wpt>`;
+}
+
+// Recorded track from recorded_tracks: one <trkseg> per recording segment
+function gpxTrackXml(track) {
+    const segments = (track.segments || []).map(segment => {
+        const points = segment.map(point => {
+            const time = gpxTime(point.time);
+            return `      <trkpt lat="${point.lat}" lon="${point.lon}">${gpxElevation(point.ele)}${time ? `<time>${time}</time>` : ''}</trkpt>`;
+        }).join('\n');
+        return `    <trkseg>\n${points}\n    </trkseg>`;
+    }).join('\n');
+
+    return `  <trk>
+    <name>${escapeXml(track.name)}</name>
+    <type>hiking</type>
+${segments}
+  </trk>`;
+}
+
+// Route from GeoJSON-style [lon, lat, ele] coordinates. The official KMLs carry
+// altitude 0 where no elevation was recorded, so zero is treated as unknown.
+function gpxRouteXml(name, coordinates, description) {
+    const points = coordinates.map(coordinate => {
+        const ele = coordinate[2] ? coordinate[2] : null;
+        return `    <rtept lat="${coordinate[1]}" lon="${coordinate[0]}">${gpxElevation(ele)}</rtept>`;
+    }).join('\n');
+    return `  <rte>
+    <name>${escapeXml(name)}</name>${description ? `\n    <desc>${escapeXml(description)}</desc>` : ''}
+${points}
+  </rte>`;
+}
+
+// Build a complete GPX document.
+// content: { name, waypoints: [], tracks: [], routes: [{ name, description, coordinates }] }
+function buildGPX(content) {
+    const waypoints = content.waypoints || [];
+    const routes = content.routes || [];
+    const tracks = content.tracks || [];
+
+    // GPX 1.1 requires wpt, rte, trk in this order
+    const body = [
+        ...waypoints.map(gpxWaypointXml),
+        ...routes.map(route => gpxRouteXml(route.name, route.coordinates, route.description)),
+        ...tracks.map(gpxTrackXml)
+    ].join('\n');
+
+    return `<?xml version="1.0" encoding="UTF-8" standalone="no" ?>
+<gpx xmlns="http://www.topografix.com/GPX/1/1" xmlns:xsi="http://www.w3.org/2001/XMLSchema-instance" xsi:schemaLocation="http://www.topografix.com/GPX/1/1 http://www.topografix.com/GPX/1/1/gpx.xsd" version="1.1" creator="${GPX_CREATOR}">
+  <metadata>
+    <name>${escapeXml(content.name || 'Queen Rose Export')}</name>
+    <time>${new Date().toISOString()}</time>
+  </metadata>
+${body}
+</gpx>
+`;
+}
+
+// Official trail geometry from trailsData as GPX routes (one per line in the KML)
+async function getTrailRoutes(trailId) {
+    const trail = getTrailById(trailId);
+    if (!trail) return [];
+    const layer = await loadTrail(trailId);
+    if (!layer) {
+        console.error(`[GPXExport] Could not load trail geometry for ${trailId}`);
+        return [];
+    }
+    const lines = extractLineStrings(layer.toGeoJSON());
+    return lines.map((line, index) => ({
+        name: lines.length > 1 ? `${trail.name} - ${line.name || `Part ${index + 1}`}` : trail.name,
+        description: `${trail.distance} km`,
+        coordinates: line.coordinates
+    }));
+}
+
+function downloadTextFile(content, fileName, mimeType) {
+    const blob = new Blob([content], { type: mimeType });
+    const link = document.createElement('a');
+    link.href = URL.createObjectURL(blob);
+    link.download = fileName;
+    document.body.appendChild(link);
+    link.click();
+    document.body.removeChild(link);
+    URL.revokeObjectURL(link.href);
+}
+
+function gpxFileName(name) {
+    return `${name.replace(/[^a-z0-9]/gi, '_')}.gpx`;
+}
+
+function downloadGPX(content, fileName) {
+    downloadTextFile(buildGPX(content), gpxFileName(fileName), 'application/gpx+xml');
+}
+
+async function exportTrackAsGPX(track) {
+    downloadGPX({ name: track.name, tracks: [track] }, `Track_${track.name}`);
+    console.log('[GPXExport] Exported track as GPX:', track.name);
+}
+
+async function exportTrailAsGPX(trailId) {
+    const trail = getTrailById(trailId);
+    const routes = await getTrailRoutes(trailId);
+    if (!trail || routes.length === 0) {
+        alert('Could not export this trail. The trail map data is not available.');
+        return;
+    }
+    downloadGPX({ name: trail.name, routes: routes }, `Trail_${trail.name}`);
+    console.log('[GPXExport] Exported trail as GPX:', trail.name);
+}
+
+// Whole trip: every saved waypoint, every recorded track and the trail selected on the map
+async function exportAllAsGPX() {
+    try {
+        const waypoints = await db.waypoints.toArray();
+        const tracks = await db.recorded_tracks.toArray();
+        const trailSelect = document.getElementById('trail-select');
+        const trailId = trailSelect ? trailSelect.value : 'none';
+        const routes = trailId && trailId !== 'none' ? await getTrailRoutes(trailId) : [];
+
+        if (waypoints.length === 0 && tracks.length === 0 && routes.length === 0) {
+            alert('Nothing to export yet. Save waypoints, record a track or select a trail first.');
+            return;
+        }
+
+        const dateLabel = new Date().toISOString().slice(0, 10);
+        downloadGPX({
+            name: `Queen Rose Trip ${dateLabel}`,
+            waypoints: waypoints,
+            routes: routes,
+            tracks: tracks
+        }, `Queen_Rose_Trip_${dateLabel}`);
+        console.log(`[GPXExport] Exported ${waypoints.length} waypoints, ${routes.length} routes and ${tracks.length} tracks.`);
+    } catch (error) {
+        console.error('[GPXExport] Error exporting GPX:', error);
+        alert('Error exporting GPX. See console for details.');
+    }
+}
+
+document.addEventListener('DOMContentLoaded', () => {
+    document.querySelectorAll('.export-all-gpx-btn').forEach(button => {
+        button.addEventListener('click', exportAllAsGPX);
+    });
+});
@@ -7,6 +7,7 @@ let kmlFileInput;
 let kmlUploadStatusDiv;
 let myKMLFilesListContainer;
 let currentlyDisplayedKMLLayer = null; // To keep track of the KML layer on the map
+let displayedKMLRoute = { layer: null, route: null }; // Stages built from currentlyDisplayedKMLLayer
 
 // --- Dexie DB Reference (from gps_tracking.js or app.js) ---
 // Assuming 'db' is globally available or passed/imported if modularized later
@@ -31,6 +32,20 @@ window.initKMLManagement = function() {
     console.log("[KMLManager - init] KML management initialization finished.");
 }
 
+// Upload formats accepted by the KML Upload section, keyed by file extension
+const UPLOAD_FORMATS_BY_EXTENSION = {
+    kml: "kml",
+    kmz: "kmz",
+    gpx: "gpx",
+    geojson: "geojson",
+    json: "geojson"
+};
+
+function getUploadFormat(fileName) {
+    const extension = fileName.toLowerCase().split(".").pop();
+    return UPLOAD_FORMATS_BY_EXTENSION[extension] || null;
+}
+
 async function handleKMLFileUpload(event) {
     const files = event.target.files;
     if (!files.length) {
@@ -41,53 +56,153 @@ async function handleKMLFileUpload(event) {
     // For now, handle only the first file if multiple are selected, per design (one KML on map at a time)
     // The input is not set to `multiple` in the HTML for simplicity, but good to be aware.
     const file = files[0];
+    const format = getUploadFormat(file.name);
 
-    if (!file.name.toLowerCase().endsWith(".kml")) {
-        kmlUploadStatusDiv.textContent = `Error: Invalid file type. Please select a .kml file. Got: ${file.name}`;
+    if (!format) {
+        kmlUploadStatusDiv.textContent = `Error: Invalid file type. Please select a .kml, .kmz, .gpx or .geojson file. Got: ${file.name}`;
         kmlFileInput.value = ""; // Reset file input
         return;
     }
 
     kmlUploadStatusDiv.textContent = `Processing ${file.name}...`;
+    const kmlName = file.name; // Use original filename as default name
 
-    const reader = new FileReader();
-    reader.onload = async function(e) {
-        const kmlString = e.target.result;
-        const kmlName = file.name; // Use original filename as default name
+    try {
+        const { geojson, kmlString } = await convertUploadToGeoJSON(file, format);
+        if (!geojson.features || geojson.features.length === 0) {
+            throw new Error("No map features found in file.");
+        }
 
-        try {
-            // Attempt to parse to ensure it's valid KML before saving (optional, but good for UX)
-            const kmlDoc = new DOMParser().parseFromString(kmlString, "text/xml");
-            if (kmlDoc.getElementsByTagName("parsererror").length > 0) {
-                throw new Error("Invalid KML file structure or parsing error.");
+        const kmlEntry = {
+            name: kmlName,
+            originalFileName: file.name,
+            format: format,
+            geojson: geojson,
+            kmlString: kmlString || null, // Original KML kept for KML/KMZ uploads
+            addedTimestamp: Date.now()
+        };
+
+        const id = await db.user_kml_files.add(kmlEntry);
+        kmlUploadStatusDiv.textContent = `Successfully uploaded and saved "${kmlName}" (ID: ${id}).`;
+        console.log(`[KMLManager - upload] ${format.toUpperCase()} "${kmlName}" saved with ID: ${id} (${geojson.features.length} features)`);
+        loadAndDisplayStoredKMLFiles(); // Refresh the list
+    } catch (error) {
+        console.error("[KMLManager - upload] Error processing or saving file:", error);
+        kmlUploadStatusDiv.textContent = `Error saving "${kmlName}": ${error.message}. Check console.`;
+    }
+    kmlFileInput.value = ""; // Reset file input after processing
+}
+
+// Normalize any supported upload to a GeoJSON FeatureCollection
+async function convertUploadToGeoJSON(file, format) {
+    switch (format) {
+        case "kml": {
+            const kmlString = await file.text();
+            return { geojson: toGeoJSON.kml(parseXmlDocument(kmlString, "KML")), kmlString: kmlString };
+        }
+        case "kmz": {
+            const kmlString = await extractKmlFromKmz(await file.arrayBuffer());
+            return { geojson: toGeoJSON.kml(parseXmlDocument(kmlString, "KMZ")), kmlString: kmlString };
+        }
+        case "gpx": {
+            const gpxString = await file.text();
+            return { geojson: toGeoJSON.gpx(parseXmlDocument(gpxString, "GPX")) };
+        }
+        case "geojson": {
+            let parsed;
+            try {
+                parsed = JSON.parse(await file.text());
+            } catch (error) {
+                throw new Error("Invalid GeoJSON file: not valid JSON.");
             }
-            // We don't need to convert to GeoJSON here, just validate. Conversion happens on view.
-
-            const kmlEntry = {
-                name: kmlName,
-                originalFileName: file.name,
-                kmlString: kmlString,
-                addedTimestamp: Date.now()
-            };
-
-            const id = await db.user_kml_files.add(kmlEntry);
-            kmlUploadStatusDiv.textContent = `Successfully uploaded and saved "${kmlName}" (ID: ${id}).`;
-            console.log(`[KMLManager - upload] KML "${kmlName}" saved with ID: ${id}`);
-            loadAndDisplayStoredKMLFiles(); // Refresh the list
-        } catch (error) {
-            console.error("[KMLManager - upload] Error processing or saving KML file:", error);
-            kmlUploadStatusDiv.textContent = `Error saving KML "${kmlName}": ${error.message}. Check console.`;
+            return { geojson: normalizeGeoJSON(parsed) };
         }
-        kmlFileInput.value = ""; // Reset file input after processing
-    };
+        default:
+            throw new Error(`Unsupported format: ${format}`);
+    }
+}
 
-    reader.onerror = function() {
-        console.error("[KMLManager - upload] FileReader error for file:", file.name);
-        kmlUploadStatusDiv.textContent = `Error reading file "${file.name}".`;
-        kmlFileInput.value = ""; // Reset file input
-    };
+function parseXmlDocument(xmlString, label) {
+    const xmlDoc = new DOMParser().parseFromString(xmlString, "text/xml");
+    if (xmlDoc.getElementsByTagName("parsererror").length > 0) {
+        throw new Error(`Invalid ${label} file structure or parsing error.`);
+    }
+    return xmlDoc;
+}
+
+// Accept a FeatureCollection, a single Feature or a bare geometry
+function normalizeGeoJSON(geojson) {
+    if (!geojson || typeof geojson !== "object") {
+        throw new Error("Invalid GeoJSON file.");
+    }
+    if (geojson.type === "FeatureCollection" && Array.isArray(geojson.features)) {
+        return geojson;
+    }
+    if (geojson.type === "Feature") {
+        return { type: "FeatureCollection", features: [geojson] };
+    }
+    if (geojson.type && geojson.coordinates) {
+        return { type: "FeatureCollection", features: [{ type: "Feature", properties: {}, geometry: geojson }] };
+    }
+    throw new Error("Invalid GeoJSON file: expected a FeatureCollection, Feature or geometry.");
+}
+
+// KMZ is a zip archive holding doc.kml (or another .kml) plus optional images.
+// Reads the zip central directory and inflates the KML entry with DecompressionStream.
+async function extractKmlFromKmz(arrayBuffer) {
+    const view = new DataView(arrayBuffer);
+
+    // Locate the End Of Central Directory record (signature 0x06054b50)
+    let eocdOffset = -1;
+    for (let i = arrayBuffer.byteLength - 22; i >= Math.max(0, arrayBuffer.byteLength - 65557); i--) {
+        if (view.getUint32(i, true) === 0x06054b50) {
+            eocdOffset = i;
+            break;
+        }
+    }
+    if (eocdOffset < 0) {
+        throw new Error("Invalid KMZ file: not a zip archive.");
+    }
+
+    const entryCount = view.getUint16(eocdOffset + 10, true);
+    let offset = view.getUint32(eocdOffset + 16, true);
+    const decoder = new TextDecoder();
+    let kmlEntry = null;
+
+    for (let i = 0; i < entryCount; i++) {
+        if (view.getUint32(offset, true) !== 0x02014b50) break;
+        const nameLength = view.getUint16(offset + 28, true);
+        const entry = {
+            method: view.getUint16(offset + 10, true),
+            compressedSize: view.getUint32(offset + 20, true),
+            localHeaderOffset: view.getUint32(offset + 42, true),
+            name: decoder.decode(new Uint8Array(arrayBuffer, offset + 46, nameLength))
+        };
+        if (entry.name.toLowerCase().endsWith(".kml") && (!kmlEntry || entry.name.toLowerCase() === "doc.kml")) {
+            kmlEntry = entry;
+        }
+        offset += 46 + nameLength + view.getUint16(offset + 30, true) + view.getUint16(offset + 32, true);
+    }
+
+    if (!kmlEntry) {
+        throw new Error("Invalid KMZ file: no KML document inside.");
+    }
 
-    reader.readAsText(file);
+    const localOffset = kmlEntry.localHeaderOffset;
+    const dataStart = localOffset + 30 + view.getUint16(localOffset + 26, true) + view.getUint16(localOffset + 28, true);
+    const data = new Uint8Array(arrayBuffer, dataStart, kmlEntry.compressedSize);
+
+    if (kmlEntry.method === 0) {
+        return decoder.decode(data);
+    }
+    if (kmlEntry.method === 8) {
+        if (typeof DecompressionStream === "undefined") {
+            throw new Error("This browser cannot unzip KMZ files. Please upload the KML instead.");
+        }
+        const stream = new Blob([data]).stream().pipeThrough(new DecompressionStream("deflate-raw"));
+        return await new Response(stream).text();
+    }
+    throw new Error(`Unsupported KMZ compression method: ${kmlEntry.method}`);
 }
 
 async function loadAndDisplayStoredKMLFiles() {
@@ -108,6 +223,7 @@ async function loadAndDisplayStoredKMLFiles() {
             li.innerHTML = `
                 <strong>${escapeXml(kmlFile.name)}</strong><br>
                 <small>Original: ${escapeXml(kmlFile.originalFileName)}</small><br>
+                <small>Format: ${escapeXml((kmlFile.format || "kml").toUpperCase())}</small><br>
                 <small>Added: ${new Date(kmlFile.addedTimestamp).toLocaleString()}</small><br>
                 <button class="view-kml-btn" data-kml-id="${kmlFile.id}">View on Map</button>
                 <button class="delete-kml-btn" data-kml-id="${kmlFile.id}">Delete</button>
@@ -133,7 +249,7 @@ async function handleViewKMLOnMap(event) {
 
     try {
         const kmlFileEntry = await db.user_kml_files.get(kmlId);
-        if (kmlFileEntry && kmlFileEntry.kmlString) {
+        if (kmlFileEntry && (kmlFileEntry.geojson || kmlFileEntry.kmlString)) {
             if (typeof map === "undefined" || !map || typeof L === "undefined" || typeof toGeoJSON === "undefined") {
                 alert("Map components are not ready. Cannot display KML.");
                 console.error("[KMLManager - view] Map or Leaflet/toGeoJSON not available.");
@@ -158,6 +274,8 @@ async function handleViewKMLOnMap(event) {
                 });
             }
             
+            if (typeof clearTrailPOIs === "function") clearTrailPOIs();
+
             // Reset the trail selector to "No Trails" option
             const trailSelector = document.getElementById("trail-select");
             if (trailSelector) {
@@ -171,10 +289,11 @@ async function handleViewKMLOnMap(event) {
                 currentlyDisplayedKMLLayer = null;
             }
 
-            const kmlDoc = new DOMParser().parseFromString(kmlFileEntry.kmlString, "text/xml");
-            const geoJson = toGeoJSON.kml(kmlDoc);
+            // Entries uploaded before multi-format support only carry the raw KML string
+            const geoJson = kmlFileEntry.geojson || toGeoJSON.kml(new DOMParser().parseFromString(kmlFileEntry.kmlString, "text/xml"));
             
             currentlyDisplayedKMLLayer = L.geoJson(geoJson, {
+                kmlId: kmlId,
                 onEachFeature: function (feature, layer) {
                     // if (feature.properties && feature.properties.name) {
                     //     layer.bindPopup(feature.properties.name);
@@ -189,14 +308,19 @@ async function handleViewKMLOnMap(event) {
                         fillOpacity: feature.properties["fill-opacity"] || 0.5
                     };
                 },
-                pointToLayer: function (feature, latlng) {
-                    // Do not render any markers for point features
+                pointToLayer: function () {
+                    // Named points go to the POI category layers below; unnamed ones are usually raw GPS fixes
                     return null;
                 }
             }).addTo(map);
 
-            if (geoJson.features && geoJson.features.length > 0) {
-                map.fitBounds(currentlyDisplayedKMLLayer.getBounds());
+            // Same categorized icons, popups and layer toggle as the official trail POIs
+            if (typeof showTrailPOIs === "function") showTrailPOIs(geoJson.features);
+
+            // Bounds of the whole file, points included, since the layer itself only holds the lines
+            const bounds = L.geoJson(geoJson).getBounds();
+            if (bounds.isValid()) {
+                map.fitBounds(bounds);
             }
             console.log(`[KMLManager - view] Displaying KML "${kmlFileEntry.name}" (ID: ${kmlId}) on map.`);
             if (typeof window.switchSection === "function") window.switchSection("map"); // Switch to map view
@@ -211,6 +335,16 @@ async function handleViewKMLOnMap(event) {
     }
 }
 
+// The lines of the uploaded file on the map as trail stages, so "Go to" can measure along them
+function getDisplayedKMLRoute() {
+    if (!currentlyDisplayedKMLLayer || !map.hasLayer(currentlyDisplayedKMLLayer)) return null;
+    if (displayedKMLRoute.layer !== currentlyDisplayedKMLLayer) {
+        const lines = extractLineStrings(currentlyDisplayedKMLLayer.toGeoJSON());
+        displayedKMLRoute = { layer: currentlyDisplayedKMLLayer, route: lines.length > 0 ? buildTrailStages(lines, null) : null };
+    }
+    return displayedKMLRoute.route;
+}
+
 async function handleDeleteKMLFile(event) {
     const kmlId = parseInt(event.target.dataset.kmlId);
     if (isNaN(kmlId)) return;
@@ -228,10 +362,10 @@ async function handleDeleteKMLFile(event) {
             alert("KML file deleted successfully.");
 
             // If the deleted KML was being displayed, remove it from map
-            if (currentlyDisplayedKMLLayer && currentlyDisplayedKMLLayer.options && currentlyDisplayedKMLLayer.options.kmlId === kmlId) { // Need to tag layer with ID
-                // This check won't work as is, layer needs to be tagged. For now, just clear any KML.
-                if (currentlyDisplayedKMLLayer) map.removeLayer(currentlyDisplayedKMLLayer);
+            if (currentlyDisplayedKMLLayer && currentlyDisplayedKMLLayer.options.kmlId === kmlId) { // Tagged in handleViewKMLOnMap
+                map.removeLayer(currentlyDisplayedKMLLayer);
                 currentlyDisplayedKMLLayer = null;
+                if (typeof clearTrailPOIs === "function") clearTrailPOIs();
             }
             loadAndDisplayStoredKMLFiles(); // Refresh the list
         }
@@ -1,22 +1,41 @@
 // Live Tracking System with Battery Saving Options
 // Provides continuous GPS tracking that can be toggled on/off
 
+const TRACKING_INTERVAL_KEY = 'liveTrackingInterval';
+
 let liveTrackingState = {
     isActive: false,
-    watchId: null,
-    updateInterval: 30000, // Fixed 30 seconds
+    intervalMode: 'adaptive', // Key of TRACKING_INTERVALS chosen by the user
+    updateInterval: 10000, // Interval currently applied (ms); varies in adaptive mode
     lastUpdate: null,
-    currentMarker: null,
-    accuracyCircle: null
+    lastProcessed: null, // { lat, lng, time } of the last position passed on to off-route and progress
+    battery: null // BatteryManager, where the Battery Status API exists
 };
 
 // Live tracking settings
 const TRACKING_INTERVALS = {
+    'adaptive': { seconds: null, label: 'Adaptive - Smart Battery' },
     'high': { seconds: 5, label: 'High (5s) - More Battery' },
     'medium': { seconds: 10, label: 'Medium (10s) - Balanced' },
     'low': { seconds: 30, label: 'Low (30s) - Battery Saver' }
 };
 
+// Adaptive mode: fast near trail junctions, where a wrong turn is likely; slow when standing
+// still, when the app is in the background or when the battery is low
+const ADAPTIVE_TRACKING_SETTINGS = {
+    junctionSeconds: 5,
+    movingSeconds: 10,
+    stationarySeconds: 30,
+    hiddenSeconds: 60,
+    lowBatterySeconds: 30,
+    lowBatteryLevel: 0.2,
+    junctionRadius: 150, // Within this distance of a junction counts as near (metres)
+    junctionTolerance: 25, // A point of one line this close to another line touches it (metres)
+    stationarySpeed: 0.5 // m/s
+};
+
+let trailJunctionCache = { lines: null, junctions: [] };
+
 // Initialize live tracking controls
 function initializeLiveTracking() {
     console.log('[LiveTracking] Initializing live tracking system with simplified controls');
@@ -31,8 +50,25 @@ function initializeLiveTracking() {
     
     console.log('[LiveTracking] Found toggle button, setting up event listeners');
     
+    const savedMode = localStorage.getItem(TRACKING_INTERVAL_KEY);
+    if (TRACKING_INTERVALS[savedMode]) {
+        liveTrackingState.intervalMode = savedMode;
+    }
+    const intervalSelect = document.getElementById('tracking-interval-select');
+    if (intervalSelect) {
+        intervalSelect.innerHTML = '';
+        Object.keys(TRACKING_INTERVALS).forEach(mode => {
+            const option = document.createElement('option');
+            option.value = mode;
+            option.textContent = TRACKING_INTERVALS[mode].label;
+            intervalSelect.appendChild(option);
+        });
+        intervalSelect.value = liveTrackingState.intervalMode;
+    }
+    
     // Set up event listeners
     setupLiveTrackingEvents();
+    initializeBatteryReadout();
 }
 
 // Set up event listeners for live tracking
@@ -42,6 +78,18 @@ function setupLiveTrackingEvents() {
     if (toggleButton) {
         toggleButton.addEventListener('click', toggleLiveTracking);
     }
+    
+    const intervalSelect = document.getElementById('tracking-interval-select');
+    if (intervalSelect) {
+        intervalSelect.addEventListener('change', event => {
+            liveTrackingState.intervalMode = event.target.value;
+            localStorage.setItem(TRACKING_INTERVAL_KEY, liveTrackingState.intervalMode);
+            liveTrackingState.lastUpdate = null; // Apply the new interval from the next fix
+            console.log(`[LiveTracking] Interval mode set to ${liveTrackingState.intervalMode}`);
+            applyTrackingInterval(getInitialTrackingInterval());
+            updateLiveTrackingStatus();
+        });
+    }
 }
 
 // Toggle live tracking on/off
@@ -57,11 +105,17 @@ function toggleLiveTracking() {
 function startLiveTracking() {
     console.log('[LiveTracking] Starting live tracking');
     
-    if (!navigator.geolocation) {
-        alert('Geolocation is not supported by this browser.');
+    // Positions come from location_service.js, which also draws the user dot; it only looks up the
+    // position as often as the interval asks for
+    liveTrackingState.updateInterval = getInitialTrackingInterval();
+    if (!subscribeToLocation('liveTracking', updateLivePosition, handleTrackingError, { interval: liveTrackingState.updateInterval })) {
         return;
     }
     
+    if (typeof startCompass === 'function') {
+        startCompass();
+    }
+    
     // Update UI
     const toggleButton = document.getElementById('live-tracking-toggle');
     
@@ -70,31 +124,24 @@ function startLiveTracking() {
         toggleButton.classList.add('active');
     }
     
-    // Start watching position
-    const options = {
-        enableHighAccuracy: true,
-        timeout: 15000,
-        maximumAge: 1000
-    };
-    
-    liveTrackingState.watchId = navigator.geolocation.watchPosition(
-        updateLivePosition,
-        handleTrackingError,
-        options
-    );
+    // Keep the moving dot on screen, unless the user already chose follow mode themselves
+    if (typeof setFollowMode === 'function' && !followModeState.enabled) {
+        setFollowMode(true);
+        followModeState.startedByTracking = true;
+    }
     
     liveTrackingState.isActive = true;
-    console.log('[LiveTracking] Live tracking started with watch ID:', liveTrackingState.watchId);
+    liveTrackingState.lastUpdate = null;
+    liveTrackingState.lastProcessed = null;
+    console.log(`[LiveTracking] Live tracking started (${liveTrackingState.intervalMode} interval)`);
+    updateLiveTrackingStatus();
 }
 
 // Stop live tracking
 function stopLiveTracking() {
     console.log('[LiveTracking] Stopping live tracking');
     
-    if (liveTrackingState.watchId !== null) {
-        navigator.geolocation.clearWatch(liveTrackingState.watchId);
-        liveTrackingState.watchId = null;
-    }
+    unsubscribeFromLocation('liveTracking');
     
     // Update UI
     const toggleButton = document.getElementById('live-tracking-toggle');
@@ -104,8 +151,23 @@ function stopLiveTracking() {
         toggleButton.classList.remove('active');
     }
     
+    if (typeof resetOffRouteState === 'function') {
+        resetOffRouteState();
+    }
+    if (typeof hideTrailProgress === 'function') {
+        hideTrailProgress();
+    }
+    if (typeof setFollowMode === 'function' && followModeState.startedByTracking) {
+        setFollowMode(false);
+    }
+    
     liveTrackingState.isActive = false;
     console.log('[LiveTracking] Live tracking stopped');
+    updateLiveTrackingStatus();
+    
+    if (typeof offerPendingAppUpdate === 'function') {
+        offerPendingAppUpdate();
+    }
 }
 
 // Update live position
@@ -115,92 +177,175 @@ function updateLivePosition(position) {
     const lng = position.coords.longitude;
     const accuracy = position.coords.accuracy;
     
-    // Check if enough time has passed based on fixed 30-second interval
-    const minInterval = 30000; // Fixed 30 seconds
+    // Check if enough time has passed for the selected interval
+    const minInterval = getTrackingInterval(position) * 1000;
+    applyTrackingInterval(minInterval);
     
+    // Other subscribers (recording, navigation) may keep fixes coming faster than the interval
     if (liveTrackingState.lastUpdate && (now - liveTrackingState.lastUpdate) < minInterval) {
-        return; // Skip this update to save battery
+        return;
     }
     
     liveTrackingState.lastUpdate = now;
+    liveTrackingState.lastProcessed = { lat: lat, lng: lng, time: now };
+    
+    console.log(`[LiveTracking] Position update: ${lat}, ${lng} (accuracy: ${accuracy}m, interval: ${minInterval / 1000}s)`);
+    
+    // Warn if the hiker has strayed from the displayed trail
+    if (typeof checkOffRoute === 'function') {
+        checkOffRoute(lat, lng, accuracy);
+    }
+    
+    // Distance done, remaining and ETA along the displayed trail
+    if (typeof updateTrailProgress === 'function') {
+        updateTrailProgress(lat, lng, now);
+    }
+    
+    // Recentering on every fix is done by follow_mode.js
+}
+
+// Interval before the first fix: the fixed mode's, or adaptive mode's walking pace (ms)
+function getInitialTrackingInterval() {
+    const fixed = TRACKING_INTERVALS[liveTrackingState.intervalMode];
+    return (fixed && fixed.seconds ? fixed.seconds : ADAPTIVE_TRACKING_SETTINGS.movingSeconds) * 1000;
+}
+
+// The location service switches to timed lookups for long intervals, which is where the battery is saved
+function applyTrackingInterval(interval) {
+    if (interval === liveTrackingState.updateInterval) return;
+    liveTrackingState.updateInterval = interval;
+    setLocationInterval('liveTracking', interval);
+    updateLiveTrackingStatus();
+}
+
+// Seconds between processed positions for the selected mode
+function getTrackingInterval(position) {
+    const fixed = TRACKING_INTERVALS[liveTrackingState.intervalMode];
+    if (fixed && fixed.seconds) return fixed.seconds;
+    
+    const settings = ADAPTIVE_TRACKING_SETTINGS;
+    const lat = position.coords.latitude;
+    const lng = position.coords.longitude;
+    
+    if (document.hidden) return settings.hiddenSeconds;
+    if (isNearTrailJunction(lat, lng)) return settings.junctionSeconds;
+    
+    const battery = liveTrackingState.battery;
+    if (battery && !battery.charging && battery.level <= settings.lowBatteryLevel) {
+        return settings.lowBatterySeconds;
+    }
+    
+    let speed = position.coords.speed;
+    const previous = liveTrackingState.lastProcessed;
+    if (typeof speed !== 'number' && previous && Date.now() > previous.time) {
+        speed = haversineDistance(previous.lat, previous.lng, lat, lng) / ((Date.now() - previous.time) / 1000);
+    }
+    if (typeof speed === 'number' && speed < settings.stationarySpeed) return settings.stationarySeconds;
+    return settings.movingSeconds;
+}
+
+// Places where lines of the displayed trail meet: line ends touching another line (side trails,
+// stage ends), points part-way along where a line joins or leaves another, and crossings
+function getTrailJunctions(lines) {
+    if (trailJunctionCache.lines === lines) return trailJunctionCache.junctions;
     
-    console.log(`[LiveTracking] Position update: ${lat}, ${lng} (accuracy: ${accuracy}m)`);
+    const tolerance = ADAPTIVE_TRACKING_SETTINGS.junctionTolerance;
+    const junctions = [];
+    const addJunction = (lat, lng) => {
+        if (!junctions.some(junction => haversineDistance(lat, lng, junction.lat, junction.lng) <= tolerance)) {
+            junctions.push({ lat: lat, lng: lng });
+        }
+    };
     
-    // Get map reference
-    const mapRef = window.leafletMap || map;
-    if (!mapRef) {
-        console.error('[LiveTracking] Map not available');
+    lines.forEach((line, index) => {
+        const coordinates = line.coordinates;
+        const others = lines.filter((other, otherIndex) => otherIndex !== index);
+        if (coordinates.length === 0 || others.length === 0) return;
+        
+        // Runs of vertices alongside another line; where a run starts or stops the lines meet or part
+        const touching = coordinates.map(coordinate => {
+            const nearest = nearestPointOnLines(coordinate[1], coordinate[0], others);
+            return !!nearest && nearest.distance <= tolerance;
+        });
+        touching.forEach((isTouching, i) => {
+            const isEnd = i === 0 || i === coordinates.length - 1;
+            if (isTouching && (isEnd || !touching[i - 1] || !touching[i + 1])) {
+                addJunction(coordinates[i][1], coordinates[i][0]);
+            }
+        });
+        
+        // Crossings between vertices, each pair of lines checked once
+        lines.slice(index + 1).forEach(other => {
+            for (let i = 0; i < coordinates.length - 1; i++) {
+                for (let j = 0; j < other.coordinates.length - 1; j++) {
+                    const crossing = segmentIntersection(coordinates[i], coordinates[i + 1], other.coordinates[j], other.coordinates[j + 1]);
+                    if (crossing) addJunction(crossing[1], crossing[0]);
+                }
+            }
+        });
+    });
+    trailJunctionCache = { lines: lines, junctions: junctions };
+    console.log(`[LiveTracking] Found ${junctions.length} trail junctions`);
+    return junctions;
+}
+
+function isNearTrailJunction(lat, lng) {
+    if (typeof getCurrentTrailLines !== 'function') return false;
+    return getTrailJunctions(getCurrentTrailLines()).some(junction =>
+        haversineDistance(lat, lng, junction.lat, junction.lng) <= ADAPTIVE_TRACKING_SETTINGS.junctionRadius);
+}
+
+// Battery level and the interval in use, next to the live tracking controls
+function initializeBatteryReadout() {
+    if (typeof navigator.getBattery !== 'function') {
+        console.log('[LiveTracking] Battery Status API not available');
+        updateLiveTrackingStatus();
         return;
     }
+    navigator.getBattery().then(battery => {
+        liveTrackingState.battery = battery;
+        battery.addEventListener('levelchange', updateLiveTrackingStatus);
+        battery.addEventListener('chargingchange', updateLiveTrackingStatus);
+        updateLiveTrackingStatus();
+    }).catch(error => {
+        console.warn('[LiveTracking] Battery status unavailable:', error);
+    });
+}
+
+function updateLiveTrackingStatus() {
+    const status = document.getElementById('live-tracking-status');
+    if (!status) return;
     
-    // Remove existing markers
-    if (liveTrackingState.currentMarker) {
-        mapRef.removeLayer(liveTrackingState.currentMarker);
-    }
-    if (liveTrackingState.accuracyCircle) {
-        mapRef.removeLayer(liveTrackingState.accuracyCircle);
-    }
-    
-    // Create new location marker (red circle like "Where Am I")
-    liveTrackingState.currentMarker = L.circleMarker([lat, lng], {
-        radius: 8,
-        fillColor: '#ff0000',
-        color: '#ffffff',
-        weight: 3,
-        opacity: 1,
-        fillOpacity: 1,
-        interactive: true,
-        bubblingMouseEvents: false
-    }).addTo(mapRef);
-    
-    // Add accuracy circle if accuracy is reasonable
-    if (accuracy < 100) {
-        liveTrackingState.accuracyCircle = L.circle([lat, lng], {
-            radius: accuracy,
-            fillColor: '#ff0000',
-            color: '#ff0000',
-            weight: 1,
-            opacity: 0.3,
-            fillOpacity: 0.1
-        }).addTo(mapRef);
-    }
-    
-    // Optionally center map on new position (can be made configurable)
-    // mapRef.setView([lat, lng], mapRef.getZoom());
+    const parts = [];
+    const battery = liveTrackingState.battery;
+    if (battery) {
+        parts.push(`${battery.charging ? '🔌' : '🔋'} ${Math.round(battery.level * 100)}%`);
+    }
+    if (liveTrackingState.isActive) {
+        parts.push(`every ${liveTrackingState.updateInterval / 1000}s`);
+    }
+    status.textContent = parts.join(' · ');
+    status.style.display = parts.length > 0 ? '' : 'none';
 }
 
 // Handle tracking errors
 function handleTrackingError(error) {
     console.error('[LiveTracking] Error:', error);
     
-    let errorMessage = 'GPS error: ';
-    switch(error.code) {
-        case error.PERMISSION_DENIED:
-            errorMessage += 'Location access denied';
-            break;
-        case error.POSITION_UNAVAILABLE:
-            errorMessage += 'Location unavailable';
-            break;
-        case error.TIMEOUT:
-            errorMessage += 'Location timeout';
-            break;
-        default:
-            errorMessage += 'Unknown error';
-            break;
-    }
-    
-    // Show error in console and optionally alert user
-    console.error('[LiveTracking]', errorMessage);
-    // Optionally show alert: alert(errorMessage);
+    // Timeouts and lost fixes are expected under tree cover; the shared watch keeps running
+    if (error.code === error.PERMISSION_DENIED) {
+        showLocationError(error);
+        stopLiveTracking();
+    }
 }
 
-// Auto-stop tracking when page is hidden (battery saving)
+// Slow down in the background (adaptive mode) and refresh as soon as the app is visible again
 document.addEventListener('visibilitychange', function() {
     if (document.hidden && liveTrackingState.isActive) {
         console.log('[LiveTracking] Page hidden, continuing tracking in background');
-        // Could optionally reduce update frequency here
     } else if (!document.hidden && liveTrackingState.isActive) {
         console.log('[LiveTracking] Page visible, resuming normal tracking');
+        liveTrackingState.lastUpdate = null; // Process the next fix straight away
     }
 });
 
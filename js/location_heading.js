@@ -0,0 +1,214 @@
+// js/location_heading.js
+// Direction cone on the user dot and the "Heading Up" map mode. The heading comes from the GPS while
+// walking and from the device compass (DeviceOrientationEvent) while standing still, where GPS
+// headings are meaningless.
+
+const LOCATION_HEADING_SETTINGS = {
+    gpsHeadingMaxAge: 10000, // A GPS heading older than this no longer counts as "moving" (ms)
+    coneLength: 45, // Pixels from the user dot to the edge of the cone
+    coneSpread: 30, // Degrees either side of the heading
+    minChange: 3 // Smaller heading changes are not redrawn (degrees)
+};
+
+let locationHeadingState = {
+    compassHeading: null,
+    compassListening: false,
+    source: null, // 'gps' | 'compass' | null
+    drawnHeading: null,
+    cone: null,
+    headingUp: false,
+    frameHeight: null // Height of #map-rotation-frame before heading-up enlarged the map
+};
+
+// Degrees clockwise from north, or null when neither the GPS nor the compass knows
+function getCurrentHeading() {
+    const position = locationServiceState.lastPosition;
+    const gpsHeading = locationServiceState.heading;
+    const moving = position && Date.now() - position.timestamp < LOCATION_HEADING_SETTINGS.gpsHeadingMaxAge &&
+        position.coords.speed >= LOCATION_SERVICE_SETTINGS.minHeadingSpeed;
+
+    if (moving && gpsHeading !== null) {
+        locationHeadingState.source = 'gps';
+        return gpsHeading;
+    }
+    if (locationHeadingState.compassHeading !== null) {
+        locationHeadingState.source = 'compass';
+        return locationHeadingState.compassHeading;
+    }
+    locationHeadingState.source = gpsHeading !== null ? 'gps' : null;
+    return gpsHeading;
+}
+
+function handleDeviceOrientation(event) {
+    let heading = null;
+    if (typeof event.webkitCompassHeading === 'number') {
+        heading = event.webkitCompassHeading; // iOS: already clockwise from north
+    } else if ((event.absolute || event.type === 'deviceorientationabsolute') && typeof event.alpha === 'number') {
+        heading = 360 - event.alpha;
+    }
+    if (heading === null) return;
+
+    // alpha is relative to the device's natural orientation; correct for a landscape screen
+    const screenAngle = (screen.orientation && screen.orientation.angle) || window.orientation || 0;
+    locationHeadingState.compassHeading = (heading + screenAngle + 360) % 360;
+    updateHeadingIndicator();
+    if (typeof updateNavigationArrow === 'function') updateNavigationArrow();
+}
+
+// Must be called from a tap: iOS only grants compass access in response to a user gesture
+function startCompass() {
+    if (locationHeadingState.compassListening || typeof DeviceOrientationEvent === 'undefined') return;
+    locationHeadingState.compassListening = true;
+
+    const listen = () => {
+        const eventName = 'ondeviceorientationabsolute' in window ? 'deviceorientationabsolute' : 'deviceorientation';
+        window.addEventListener(eventName, handleDeviceOrientation);
+        console.log(`[Heading] Listening to ${eventName}`);
+    };
+
+    if (typeof DeviceOrientationEvent.requestPermission === 'function') {
+        DeviceOrientationEvent.requestPermission()
+            .then(state => {
+                if (state === 'granted') listen();
+                else console.warn('[Heading] Compass permission not granted; using GPS heading only');
+            })
+            .catch(error => {
+                locationHeadingState.compassListening = false; // Not a user gesture; try again on the next tap
+                console.warn('[Heading] Compass permission request failed:', error);
+            });
+    } else {
+        listen();
+    }
+}
+
+// Sector polygon drawn in screen pixels so the cone keeps its size at every zoom level
+function getHeadingConeLatLngs(mapRef, latLng, heading) {
+    const centre = mapRef.latLngToLayerPoint(latLng);
+    const latLngs = [latLng];
+    for (let offset = -LOCATION_HEADING_SETTINGS.coneSpread; offset <= LOCATION_HEADING_SETTINGS.coneSpread; offset += 10) {
+        const angle = (heading + offset) * Math.PI / 180;
+        const point = L.point(
+            centre.x + LOCATION_HEADING_SETTINGS.coneLength * Math.sin(angle),
+            centre.y - LOCATION_HEADING_SETTINGS.coneLength * Math.cos(angle)
+        );
+        latLngs.push(mapRef.layerPointToLatLng(point));
+    }
+    return latLngs;
+}
+
+// Called by location_service.js on every fix and by the compass on every reading
+function updateHeadingIndicator(force) {
+    const mapRef = window.leafletMap || map;
+    const marker = locationServiceState.marker;
+    if (!mapRef || !marker) return;
+
+    const heading = getCurrentHeading();
+    if (heading === null) return;
+
+    const previous = locationHeadingState.drawnHeading;
+    const change = previous === null ? 360 : Math.abs(((heading - previous + 540) % 360) - 180);
+    if (!force && change < LOCATION_HEADING_SETTINGS.minChange && locationHeadingState.cone &&
+        locationHeadingState.cone.getLatLngs()[0][0].equals(marker.getLatLng())) {
+        return;
+    }
+    locationHeadingState.drawnHeading = heading;
+
+    const latLngs = getHeadingConeLatLngs(mapRef, marker.getLatLng(), heading);
+    if (locationHeadingState.cone) {
+        locationHeadingState.cone.setLatLngs(latLngs);
+    } else {
+        locationHeadingState.cone = L.polygon(latLngs, {
+            color: '#ff0000',
+            weight: 0,
+            fillColor: '#ff0000',
+            fillOpacity: 0.35,
+            interactive: false,
+            pane: 'userLocationPane'
+        }).addTo(mapRef);
+        mapRef.on('zoomend', () => updateHeadingIndicator(true));
+    }
+    // Keep the dot on top of its cone
+    marker.bringToFront();
+
+    if (locationHeadingState.headingUp) {
+        rotateMapToHeading(heading);
+        followUser(); // The lower-third offset turns with the heading
+    }
+}
+
+// --- Heading-up mode ---
+// Leaflet cannot rotate the map itself, so the map element is enlarged to the frame's diagonal
+// (no blank corners) and rotated with CSS. Dragging is off because Leaflet's pointer maths don't
+// know about the rotation; follow mode (follow_mode.js) keeps the user in view instead.
+
+function rotateMapToHeading(heading) {
+    const mapElement = document.getElementById('map');
+    if (mapElement) mapElement.style.transform = `rotate(${-heading}deg)`;
+}
+
+function setHeadingUpMode(enabled) {
+    const mapRef = window.leafletMap || map;
+    const frame = document.getElementById('map-rotation-frame');
+    const mapElement = document.getElementById('map');
+    if (!mapRef || !frame || !mapElement) return;
+
+    if (enabled) {
+        const width = frame.clientWidth;
+        const height = mapElement.offsetHeight;
+        const diagonal = Math.ceil(Math.sqrt(width * width + height * height));
+        locationHeadingState.frameHeight = height;
+
+        frame.style.height = `${height}px`;
+        frame.classList.add('heading-up');
+        // Inline !important beats the many !important #map rules in styles.css
+        mapElement.style.setProperty('width', `${diagonal}px`, 'important');
+        mapElement.style.setProperty('height', `${diagonal}px`, 'important');
+        mapElement.style.setProperty('left', `${(width - diagonal) / 2}px`, 'important');
+        mapElement.style.setProperty('top', `${(height - diagonal) / 2}px`, 'important');
+        mapElement.style.setProperty('margin', '0', 'important');
+        mapRef.dragging.disable();
+    } else {
+        frame.classList.remove('heading-up');
+        frame.style.height = '';
+        ['width', 'height', 'left', 'top', 'margin', 'transform'].forEach(property => mapElement.style.removeProperty(property));
+        mapRef.dragging.enable();
+    }
+
+    locationHeadingState.headingUp = enabled;
+    mapRef.invalidateSize({ pan: false });
+    if (enabled) {
+        if (followModeState.enabled) resumeFollowMode();
+        else setFollowMode(true);
+        updateHeadingIndicator(true);
+    }
+
+    const button = document.getElementById('heading-up-btn');
+    if (button) {
+        button.classList.toggle('active', enabled);
+        button.textContent = enabled ? '🧭 North Up' : '🧭 Heading Up';
+    }
+    console.log(`[Heading] Heading-up mode ${enabled ? 'on' : 'off'}`);
+}
+
+function toggleHeadingUpMode() {
+    if (locationHeadingState.headingUp) {
+        setHeadingUpMode(false);
+        return;
+    }
+    startCompass();
+    if (!locationServiceState.lastPosition) {
+        alert('Tap "Where Am I" or start live tracking first, so the map knows where you are.');
+        return;
+    }
+    setHeadingUpMode(true);
+    if (getCurrentHeading() === null && window.toastSystem) {
+        window.toastSystem.info('Waiting for Heading', 'The map turns once your compass or GPS reports a direction. Start walking if your device has no compass.');
+    }
+}
+
+document.addEventListener('DOMContentLoaded', () => {
+    const button = document.getElementById('heading-up-btn');
+    if (button) button.addEventListener('click', toggleHeadingUpMode);
+});
+
+console.log('[Heading] location_heading.js loaded.');
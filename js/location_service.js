@@ -0,0 +1,333 @@
+// js/location_service.js
+// The one source of the user's position: owns the geolocation watch, the user marker and accuracy
+// circle, the last known heading, location permission state and error reporting. Features such as
+// live tracking and the track recorder subscribe instead of calling navigator.geolocation themselves.
+// Subscribers may ask for fixes only every so often; when all of them are content with long gaps the
+// continuous watch is replaced by timed lookups, so the GPS can rest in between.
+
+const LOCATION_SERVICE_SETTINGS = {
+    watchOptions: { enableHighAccuracy: true, timeout: 15000, maximumAge: 0 },
+    pollOptions: { enableHighAccuracy: true, timeout: 15000, maximumAge: 5000 },
+    minPollInterval: 20000, // Requested intervals at least this long use timed lookups instead of the watch (ms)
+    locateTimeout: 15000, // One-off lookups ("Where Am I", new waypoints)
+    freshPositionAge: 5000, // A watched fix younger than this answers a one-off lookup (ms)
+    maxAccuracyCircle: 1000, // Larger accuracy radii are not drawn (metres)
+    minHeadingSpeed: 0.5 // GPS heading is only trusted while moving at least this fast (m/s)
+};
+
+let locationServiceState = {
+    watchId: null,
+    pollTimer: null,
+    pollInterval: null, // ms between timed lookups while polling instead of watching
+    subscribers: {}, // { id: { onPosition, onError, interval, passive } }
+    lastPosition: null,
+    heading: null, // Degrees clockwise from north; last trustworthy value
+    permission: 'unknown', // 'unknown' | 'prompt' | 'granted' | 'denied' | 'unsupported'
+    lastError: null,
+    marker: null,
+    accuracyCircle: null
+};
+
+function isLocationSupported() {
+    return 'geolocation' in navigator;
+}
+
+function getLocationErrorMessage(error) {
+    switch (error && error.code) {
+        case 1: // PERMISSION_DENIED
+            return 'Location access is denied. Enable location services for this site in your browser settings.';
+        case 2: // POSITION_UNAVAILABLE
+            return 'Your location is unavailable. Try moving to an open area with a clear view of the sky.';
+        case 3: // TIMEOUT
+            return 'Finding your location took too long. Please try again.';
+        default:
+            return (error && error.message) || 'Your location could not be determined.';
+    }
+}
+
+function showLocationError(error) {
+    const message = getLocationErrorMessage(error);
+    if (window.toastSystem) {
+        window.toastSystem.error('Location Unavailable', message);
+    } else {
+        alert(message);
+    }
+}
+
+// Follows the browser permission so features can explain a denial before asking again
+async function checkLocationPermission() {
+    if (!isLocationSupported()) {
+        locationServiceState.permission = 'unsupported';
+        return locationServiceState.permission;
+    }
+    if (!navigator.permissions || !navigator.permissions.query) return locationServiceState.permission;
+    try {
+        const status = await navigator.permissions.query({ name: 'geolocation' });
+        locationServiceState.permission = status.state;
+        status.onchange = () => {
+            console.log(`[Location] Permission changed to ${status.state}`);
+            locationServiceState.permission = status.state;
+        };
+    } catch (error) {
+        console.warn('[Location] Permission state not available:', error);
+    }
+    return locationServiceState.permission;
+}
+
+function handleLocationPosition(position) {
+    const coords = position.coords;
+    locationServiceState.lastPosition = position;
+    locationServiceState.lastError = null;
+    locationServiceState.permission = 'granted';
+    if (typeof coords.heading === 'number' && !isNaN(coords.heading) &&
+        coords.speed >= LOCATION_SERVICE_SETTINGS.minHeadingSpeed) {
+        locationServiceState.heading = coords.heading;
+    }
+    updateUserLocationMarker(position);
+    if (typeof updateHeadingIndicator === 'function') {
+        updateHeadingIndicator();
+    }
+    if (typeof updateCoordinateReadout === 'function') {
+        updateCoordinateReadout();
+    }
+
+    Object.values(locationServiceState.subscribers).forEach(subscriber => {
+        try {
+            subscriber.onPosition(position);
+        } catch (error) {
+            console.error('[Location] Subscriber failed to handle position:', error);
+        }
+    });
+}
+
+function handleLocationError(error) {
+    console.warn(`[Location] Error (${error.code}): ${error.message}`);
+    locationServiceState.lastError = error;
+    if (error.code === error.PERMISSION_DENIED) {
+        locationServiceState.permission = 'denied';
+    }
+    Object.values(locationServiceState.subscribers).forEach(subscriber => {
+        if (typeof subscriber.onError === 'function') subscriber.onError(error);
+    });
+}
+
+// True while positions are arriving, from the watch or from timed lookups
+function isLocationActive() {
+    return locationServiceState.watchId !== null || locationServiceState.pollInterval !== null;
+}
+
+// Shortest interval any subscriber asked for, 0 for every fix. Passive subscribers take whatever
+// fixes arrive, so they only need the continuous watch when nobody else is subscribed.
+function getRequestedLocationInterval() {
+    const active = Object.values(locationServiceState.subscribers).filter(subscriber => !subscriber.passive);
+    if (active.length === 0) return 0;
+    return Math.min(...active.map(subscriber => subscriber.interval || 0));
+}
+
+function stopLocationUpdates() {
+    if (locationServiceState.watchId !== null) {
+        navigator.geolocation.clearWatch(locationServiceState.watchId);
+        locationServiceState.watchId = null;
+    }
+    clearTimeout(locationServiceState.pollTimer);
+    locationServiceState.pollTimer = null;
+    locationServiceState.pollInterval = null;
+}
+
+function pollLocation() {
+    navigator.geolocation.getCurrentPosition(
+        position => {
+            handleLocationPosition(position);
+            scheduleLocationPoll();
+        },
+        error => {
+            handleLocationError(error);
+            scheduleLocationPoll();
+        },
+        LOCATION_SERVICE_SETTINGS.pollOptions
+    );
+}
+
+// The next lookup is timed from the end of the last one; a lookup still under way when the
+// interval changes just restarts the timer
+function scheduleLocationPoll() {
+    if (locationServiceState.pollInterval === null) return;
+    clearTimeout(locationServiceState.pollTimer);
+    locationServiceState.pollTimer = setTimeout(pollLocation, locationServiceState.pollInterval);
+}
+
+// Watch, poll or stop to match the current subscribers
+function updateLocationUpdates() {
+    if (Object.keys(locationServiceState.subscribers).length === 0) {
+        if (isLocationActive()) {
+            stopLocationUpdates();
+            console.log('[Location] No subscribers left, stopped watching position');
+            if (typeof updateCoordinateReadout === 'function') {
+                updateCoordinateReadout();
+            }
+        }
+        return;
+    }
+
+    const interval = getRequestedLocationInterval();
+    if (interval < LOCATION_SERVICE_SETTINGS.minPollInterval) {
+        if (locationServiceState.watchId !== null) return;
+        stopLocationUpdates();
+        locationServiceState.watchId = navigator.geolocation.watchPosition(
+            handleLocationPosition,
+            handleLocationError,
+            LOCATION_SERVICE_SETTINGS.watchOptions
+        );
+        console.log('[Location] Watching position with watch ID:', locationServiceState.watchId);
+        return;
+    }
+
+    if (locationServiceState.pollInterval === interval) return;
+    const wasActive = isLocationActive();
+    stopLocationUpdates();
+    locationServiceState.pollInterval = interval;
+    console.log(`[Location] Looking up position every ${interval / 1000}s`);
+    // Switching over from the watch or another interval: the last fix is recent, so wait one interval
+    if (wasActive) scheduleLocationPoll();
+    else pollLocation();
+}
+
+// Starts position updates with the first subscriber; they stop when the last one leaves.
+// options.interval: ms between fixes the subscriber needs (default every fix);
+// options.passive: take whatever fixes other subscribers cause, continuous when alone.
+function subscribeToLocation(id, onPosition, onError, options) {
+    if (!isLocationSupported()) {
+        alert('Geolocation is not supported by this browser.');
+        return false;
+    }
+    options = options || {};
+    locationServiceState.subscribers[id] = {
+        onPosition: onPosition,
+        onError: onError,
+        interval: options.interval || 0,
+        passive: !!options.passive
+    };
+    updateLocationUpdates();
+    return true;
+}
+
+// Lets a subscriber change how often it needs a fix, e.g. live tracking's adaptive mode
+function setLocationInterval(id, interval) {
+    const subscriber = locationServiceState.subscribers[id];
+    if (!subscriber || subscriber.interval === interval) return;
+    subscriber.interval = interval;
+    updateLocationUpdates();
+}
+
+function unsubscribeFromLocation(id) {
+    delete locationServiceState.subscribers[id];
+    updateLocationUpdates();
+}
+
+// One position now: a fresh watched fix if there is one, otherwise a new lookup.
+// Rejects with the GeolocationPositionError; callers decide how to report it.
+function getCurrentLocation() {
+    const last = locationServiceState.lastPosition;
+    if (isLocationActive() && last &&
+        Date.now() - last.timestamp < LOCATION_SERVICE_SETTINGS.freshPositionAge) {
+        return Promise.resolve(last);
+    }
+    if (!isLocationSupported()) {
+        return Promise.reject(new Error('Geolocation is not supported by this browser.'));
+    }
+    return new Promise((resolve, reject) => {
+        navigator.geolocation.getCurrentPosition(
+            position => {
+                handleLocationPosition(position);
+                resolve(position);
+            },
+            error => {
+                handleLocationError(error);
+                reject(error);
+            },
+            { enableHighAccuracy: true, timeout: LOCATION_SERVICE_SETTINGS.locateTimeout, maximumAge: 0 }
+        );
+    });
+}
+
+// The single red user dot and its accuracy circle
+function updateUserLocationMarker(position) {
+    const mapRef = window.leafletMap || map;
+    if (!mapRef) return;
+
+    const latLng = [position.coords.latitude, position.coords.longitude];
+    const accuracy = position.coords.accuracy;
+
+    if (!mapRef.getPane('userLocationPane')) {
+        mapRef.createPane('userLocationPane').style.zIndex = 620; // Above trails and waypoints
+    }
+
+    if (accuracy && accuracy < LOCATION_SERVICE_SETTINGS.maxAccuracyCircle) {
+        if (locationServiceState.accuracyCircle) {
+            locationServiceState.accuracyCircle.setLatLng(latLng).setRadius(accuracy);
+        } else {
+            locationServiceState.accuracyCircle = L.circle(latLng, {
+                radius: accuracy,
+                color: '#ff0000',
+                fillColor: '#ff0000',
+                weight: 1,
+                opacity: 0.3,
+                fillOpacity: 0.1,
+                interactive: false,
+                pane: 'userLocationPane'
+            }).addTo(mapRef);
+        }
+    } else if (locationServiceState.accuracyCircle) {
+        mapRef.removeLayer(locationServiceState.accuracyCircle);
+        locationServiceState.accuracyCircle = null;
+    }
+
+    if (locationServiceState.marker) {
+        locationServiceState.marker.setLatLng(latLng);
+    } else {
+        locationServiceState.marker = L.circleMarker(latLng, {
+            radius: 8,
+            fillColor: '#ff0000',
+            color: '#ffffff',
+            weight: 3,
+            opacity: 1,
+            fillOpacity: 1,
+            bubblingMouseEvents: false,
+            pane: 'userLocationPane'
+        }).addTo(mapRef);
+    }
+    locationServiceState.marker.bindTooltip(`Your location (±${Math.round(accuracy)} m)`);
+}
+
+// "Where Am I": show the user dot and centre the map on it
+async function locateUser() {
+    // Compass access on iOS has to be requested from this tap
+    if (typeof startCompass === 'function') {
+        startCompass();
+    }
+    const button = document.getElementById('track-location-btn');
+    if (button) {
+        button.textContent = '🔍 Locating...';
+        button.disabled = true;
+    }
+    try {
+        const position = await getCurrentLocation();
+        const mapRef = window.leafletMap || map;
+        if (mapRef) {
+            mapRef.setView([position.coords.latitude, position.coords.longitude], Math.max(mapRef.getZoom(), 16));
+        }
+        console.log(`[Location] Located at ${position.coords.latitude}, ${position.coords.longitude} (±${Math.round(position.coords.accuracy)}m)`);
+    } catch (error) {
+        console.error('[Location] Could not locate user:', error);
+        showLocationError(error);
+    } finally {
+        if (button) {
+            button.textContent = '📍 Where Am I';
+            button.disabled = false;
+        }
+    }
+}
+
+document.addEventListener('DOMContentLoaded', checkLocationPermission);
+
+console.log('[Location] location_service.js loaded.');
@@ -1,10 +1,11 @@
 // js/map.js
 
 let map;
-let userLocationMarker;
 let trailLayers = {}; // Store loaded KML/GPX layers { trailId: layer }
 let trailLoadPromises = {}; // Store promises for loading trails { trailId: promise }
 let currentTrailLayer = null; // Store the single layer currently displayed (not used for 'all')
+let trailPoiFeatures = {}; // Named Point placemarks (water, camps, ...) per trail { trailId: [features] }
+let currentTrailLines = { layer: null, lines: [] }; // Line geometry of currentTrailLayer, cached per layer
 
 // Load KML/GPX data for a trail, return promise resolving with the layer
 function loadTrail(trailId) {
@@ -75,6 +76,7 @@ function loadTrail(trailId) {
                 }
             });
             trailLayers[trailId] = layer; // Store the layer
+            trailPoiFeatures[trailId] = geojson.features.filter(isNamedPointFeature); // Rendered separately by trail_pois.js
             console.log(`[Map - loadTrail] Successfully created and cached Leaflet layer for ${trailId}.`);
             delete trailLoadPromises[trailId]; // Remove promise once loaded
             return layer; // Resolve promise with the layer
@@ -89,6 +91,15 @@ function loadTrail(trailId) {
     return trailLoadPromises[trailId];
 }
 
+// Line geometry ([{ name, coordinates }]) of the displayed trail, re-extracted only when the trail changes
+function getCurrentTrailLines() {
+    if (!currentTrailLayer) return [];
+    if (currentTrailLines.layer !== currentTrailLayer) {
+        currentTrailLines = { layer: currentTrailLayer, lines: extractLineStrings(currentTrailLayer.toGeoJSON()) };
+    }
+    return currentTrailLines.lines;
+}
+
 // Display selected trail (async function to handle loading)
 async function displayTrail(trailId) {
     console.log(`[Map - displayTrail] Displaying trail: ${trailId}`);
@@ -106,6 +117,10 @@ async function displayTrail(trailId) {
         clearCustomKmlLayers(false); // Pass false to prevent recursive loop
     }
     
+    // Remove the previous trail's points of interest
+    if (typeof clearTrailPOIs === 'function') clearTrailPOIs();
+    if (typeof showMapElevationProfile === 'function') showMapElevationProfile(null);
+
     // Remove current single layer if it exists
     if (currentTrailLayer) {
         if (map.hasLayer(currentTrailLayer)) {
@@ -150,6 +165,8 @@ async function displayTrail(trailId) {
                  }
                 currentTrailLayer = layer; // Set as the current single layer
                 console.log(`[Map - displayTrail] Set currentTrailLayer for ${trailId}.`);
+                if (typeof showTrailPOIs === 'function') showTrailPOIs(trailPoiFeatures[trailId]);
+                if (typeof showMapElevationProfile === 'function') showMapElevationProfile(trailId);
                 // Zoom to the selected trail
                 try {
                     if (layer.getBounds && layer.getBounds().isValid()) {
@@ -177,161 +194,6 @@ async function displayTrail(trailId) {
     }
 }
 
-// Track user location
-function trackUserLocation() {
-    console.log("[Map - trackUserLocation] Attempting to track location...");
-    if (!navigator.geolocation) {
-        console.error("[Map - trackUserLocation] Geolocation not supported.");
-        alert('Geolocation is not supported by your browser.');
-        return;
-    }
-
-    const options = {
-        enableHighAccuracy: true,
-        timeout: 10000, // 10 seconds
-        maximumAge: 0 // Force fresh location
-    };
-
-    const trackBtn = document.getElementById('track-location-btn');
-    trackBtn.textContent = 'Tracking...';
-    trackBtn.disabled = true;
-    console.log("[Map - trackUserLocation] Calling getCurrentPosition...");
-
-    navigator.geolocation.getCurrentPosition(
-        (position) => {
-            const lat = position.coords.latitude;
-            const lon = position.coords.longitude;
-            const accuracy = position.coords.accuracy;
-            console.log(`[Map - trackUserLocation] Location success: Lat ${lat}, Lon ${lon}, Accuracy ${accuracy}m`);
-
-            const userLatLng = L.latLng(lat, lon);
-
-
-            const heading = position.coords.heading;
-            const speed = position.coords.speed;
-            console.log(`[Map - trackUserLocation] Additional info: Hdg: ${heading}, Spd: ${speed} m/s`);
-
-            let currentRotation = 0; // Default to North
-
-            // Check if the existing marker is our arrow marker and has a stored rotation
-            if (userLocationMarker && userLocationMarker instanceof L.Marker && userLocationMarker.options.icon && userLocationMarker.options.icon instanceof L.DivIcon && userLocationMarker.options.icon.options.html.includes("svg")) {
-                // Attempt to retrieve stored rotation from the icon's custom property or parse from SVG
-                if (typeof userLocationMarker.options.icon.options.rotation === 'number') {
-                    currentRotation = userLocationMarker.options.icon.options.rotation;
-                } else {
-                    // Fallback: try to parse from SVG - this is more complex and less reliable, so storing is better
-                    const existingSvgElement = userLocationMarker.getElement().querySelector('svg');
-                    if (existingSvgElement && existingSvgElement.style.transform) {
-                        const match = existingSvgElement.style.transform.match(/rotate\((\d+\.?\d*)deg\)/);
-                        if (match && match[1]) currentRotation = parseFloat(match[1]);
-                    }
-                }
-                 console.log(`[Map - trackUserLocation] Retrieved previous rotation: ${currentRotation}deg`);
-            }
-
-            // Update rotation if new heading is valid and user is moving
-            if (heading !== null && typeof heading === 'number' && !isNaN(heading) && speed > 0.1) {
-                currentRotation = heading;
-                console.log(`[Map - trackUserLocation] Valid new heading. Setting rotation to: ${currentRotation}deg`);
-            } else {
-                console.log(`[Map - trackUserLocation] No valid new heading/speed. Maintaining current/previous rotation: ${currentRotation}deg`);
-            }
-
-            // Marker handling: Recreate if it's the old circle type or not our expected arrow marker
-            let recreateMarker = false;
-            if (userLocationMarker) {
-                if (userLocationMarker instanceof L.CircleMarker) {
-                    recreateMarker = true;
-                    console.log("[Map - trackUserLocation] Detected old CircleMarker. Recreating as arrow marker.");
-                } else if (userLocationMarker instanceof L.Marker) {
-                    if (!userLocationMarker.options.icon || !(userLocationMarker.options.icon instanceof L.DivIcon) || !userLocationMarker.getElement() || !userLocationMarker.getElement().querySelector('svg')) {
-                        recreateMarker = true;
-                        console.log("[Map - trackUserLocation] Detected L.Marker but not the expected arrow DivIcon. Recreating.");
-                    }
-                } else {
-                    recreateMarker = true; // Unknown type
-                    console.log("[Map - trackUserLocation] Detected unknown marker type. Recreating as arrow marker.");
-                }
-                if (recreateMarker) {
-                    map.removeLayer(userLocationMarker);
-                    userLocationMarker = null;
-                }
-            }
-
-            if (userLocationMarker) {
-                // Existing circular marker: just update position (no rotation needed)
-                console.log("[Map - trackUserLocation] Updating existing circular marker position.");
-                userLocationMarker.setLatLng(userLatLng);
-            } else {
-                // Create new RED CIRCULAR marker instead of yellow arrow
-                console.log("[Map - trackUserLocation] Creating new RED CIRCULAR location marker.");
-                const circleHTML = `<div style="
-                    width: 20px; 
-                    height: 20px; 
-                    background: #FF4444; 
-                    border: 3px solid white; 
-                    border-radius: 50%; 
-                    box-shadow: 0 0 10px rgba(255, 68, 68, 0.8);
-                    position: relative;
-                ">
-                    <div style="
-                        width: 6px; 
-                        height: 6px; 
-                        background: white; 
-                        border-radius: 50%; 
-                        position: absolute; 
-                        top: 50%; 
-                        left: 50%; 
-                        transform: translate(-50%, -50%);
-                    "></div>
-                </div>`;
-                const circleIcon = L.divIcon({
-                    html: circleHTML,
-                    className: 'custom-location-indicator',
-                    iconSize: [24, 24],
-                    iconAnchor: [12, 12],
-                    rotation: currentRotation // Custom property to store rotation state
-                });
-                userLocationMarker = L.marker(userLatLng, { icon: circleIcon }).addTo(map);
-                console.log(`[Map - trackUserLocation] Created new RED CIRCULAR marker.`);
-            }
-
-            // Add accuracy circle (optional)
-            // if (accuracyCircle) { map.removeLayer(accuracyCircle); }
-            // accuracyCircle = L.circle(userLatLng, { radius: accuracy }).addTo(map);
-
-            console.log("[Map - trackUserLocation] Setting map view to user location.");
-            map.setView(userLatLng, 16); // Zoom to user location
-            trackBtn.textContent = '📍 Where Am I';
-            trackBtn.disabled = false;
-            // Consider removing alert for better UX, rely on visual marker
-            // alert('Location found! Blue dot shows your position.');
-        },
-        (error) => {
-            trackBtn.textContent = '📍 Where Am I';
-            trackBtn.disabled = false;
-            let errorMsg = 'Error getting location: ';
-            switch(error.code) {
-                case error.PERMISSION_DENIED:
-                    errorMsg += 'User denied the request for Geolocation.';
-                    break;
-                case error.POSITION_UNAVAILABLE:
-                    errorMsg += 'Location information is unavailable. Check GPS signal.';
-                    break;
-                case error.TIMEOUT:
-                    errorMsg += 'The request to get user location timed out.';
-                    break;
-                case error.UNKNOWN_ERROR:
-                    errorMsg += 'An unknown error occurred.';
-                    break;
-            }
-            console.error("[Map - trackUserLocation] Geolocation error:", errorMsg, error);
-            alert(errorMsg + '\nPlease ensure location services are enabled and permissions are granted for this site.');
-        },
-        options
-    );
-}
-
 // Initialize the map
 function initMap() {
     console.log("[Map - initMap] Initializing map...");
@@ -383,6 +245,7 @@ function initMap() {
             rmText: '<img src="../assets/icons/delete-icon.png" alt="Delete" style="width:16px; height:16px;"> Delete Saved Areas'
         });
         saveTilesControl.addTo(map);
+        window.saveTilesControl = saveTilesControl; // Used by offline_tiles.js for area downloads
         console.log("[Map - initMap] Save tiles control added.");
 
         // Attempt to open the IndexedDB database
@@ -440,10 +303,10 @@ function initMap() {
         console.log("[Map - initMap] Scheduling initial display with 'none' (no trails).");
         setTimeout(() => displayTrail('none'), 100);
 
-        // GPS Tracking Button
+        // "Where Am I" button (location_service.js)
         const trackBtn = document.getElementById('track-location-btn');
         if (trackBtn) {
-            trackBtn.addEventListener('click', trackUserLocation);
+            trackBtn.addEventListener('click', locateUser);
             console.log("[Map - initMap] GPS tracking button listener added.");
         } else {
             console.error("[Map - initMap] Track location button element not found.");
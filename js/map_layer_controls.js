@@ -216,88 +216,8 @@
         }
         
         console.log('⬇️ Starting map download...');
-        simulateDownload(mapObj);
-    }
-    
-    function simulateDownload(mapObj) {
-        const downloadBtn = document.getElementById('download-map-btn');
-        if (!downloadBtn) return;
-        
-        console.log('⬇️ Using simulated download...');
-        
-        // Store original button state
-        const originalText = downloadBtn.textContent;
-        const originalBackground = downloadBtn.style.background;
-        
-        // Disable button and show progress
-        downloadBtn.disabled = true;
-        downloadBtn.textContent = 'Downloading...';
-        
-        // Simulate download process
-        let progress = 0;
-        const progressInterval = setInterval(() => {
-            progress += 20;
-            downloadBtn.textContent = `Downloading... ${progress}%`;
-            
-            if (progress >= 100) {
-                clearInterval(progressInterval);
-                
-                // Show completion
-                downloadBtn.textContent = 'Download Complete!';
-                downloadBtn.style.background = '#4CAF50';
-                
-                // Store download info
-                storeOfflineMapData(mapObj);
-                
-                // Reset after 3 seconds
-                setTimeout(() => {
-                    downloadBtn.disabled = false;
-                    downloadBtn.textContent = originalText;
-                    downloadBtn.style.background = originalBackground;
-                }, 3000);
-                
-                console.log('✅ Download simulation complete');
-            }
-        }, 500);
-    }
-    
-    function storeOfflineMapData(mapObj) {
-        try {
-            console.log('💾 Storing offline map data...');
-            
-            const mapData = {
-                timestamp: new Date().toISOString(),
-                layer: currentMapLayer,
-                downloaded: true
-            };
-            
-            // Try to get map center and bounds if available
-            if (mapObj && typeof mapObj.getCenter === 'function') {
-                mapData.center = mapObj.getCenter();
-            }
-            
-            if (mapObj && typeof mapObj.getBounds === 'function') {
-                mapData.bounds = mapObj.getBounds();
-            }
-            
-            if (mapObj && typeof mapObj.getZoom === 'function') {
-                mapData.zoom = mapObj.getZoom();
-            }
-            
-            localStorage.setItem('offlineMapData', JSON.stringify(mapData));
-            console.log('💾 Offline map data stored successfully');
-            
-        } catch (error) {
-            console.error('❌ Error storing offline map data:', error);
-            // Store basic data anyway
-            const basicData = {
-                timestamp: new Date().toISOString(),
-                layer: currentMapLayer,
-                downloaded: true,
-                error: error.message
-            };
-            localStorage.setItem('offlineMapData', JSON.stringify(basicData));
-        }
+        // Real tile download (or cancel) lives in offline_tiles.js
+        handleOfflineDownloadClick();
     }
     
     function setupFallbackControls() {
@@ -318,7 +238,7 @@
         if (downloadBtn) {
             downloadBtn.addEventListener('click', function() {
                 console.log('⬇️ Fallback download button clicked');
-                simulateDownload(null);
+                handleOfflineDownloadClick();
             });
         }
         
@@ -0,0 +1,148 @@
+// js/off_route.js
+// Off-route detection: while live tracking, compares each position with the trail shown on the
+// map (currentTrailLayer in map.js) and warns with a toast and vibration when the hiker strays.
+
+const OFF_ROUTE_THRESHOLD_KEY = 'offRouteThreshold';
+const OFF_ROUTE_THRESHOLDS = [25, 50, 100, 200]; // metres, offered in the map controls
+
+const OFF_ROUTE_SETTINGS = {
+    defaultThreshold: 50,
+    confirmFixes: 2, // Consecutive off-route fixes needed before alerting, so one bad fix doesn't alarm
+    backOnRouteRatio: 0.7, // Back on route once within this fraction of the threshold
+    realertInterval: 5 * 60 * 1000 // Repeat the alert while still off route (ms)
+};
+
+let offRouteState = {
+    threshold: OFF_ROUTE_SETTINGS.defaultThreshold,
+    isOffRoute: false,
+    offRouteFixes: 0,
+    lastAlertTime: 0,
+    guideLine: null // Dashed line from the hiker back to the nearest point on the trail
+};
+
+function initializeOffRouteDetection() {
+    const savedThreshold = parseInt(localStorage.getItem(OFF_ROUTE_THRESHOLD_KEY), 10);
+    if (OFF_ROUTE_THRESHOLDS.includes(savedThreshold)) {
+        offRouteState.threshold = savedThreshold;
+    }
+
+    const thresholdSelect = document.getElementById('off-route-threshold');
+    if (!thresholdSelect) {
+        console.error('[OffRoute] Threshold select not found in HTML');
+        return;
+    }
+    thresholdSelect.innerHTML = '';
+    OFF_ROUTE_THRESHOLDS.forEach(threshold => {
+        const option = document.createElement('option');
+        option.value = threshold;
+        option.textContent = `${threshold} m`;
+        thresholdSelect.appendChild(option);
+    });
+    thresholdSelect.value = offRouteState.threshold;
+    thresholdSelect.addEventListener('change', event => {
+        offRouteState.threshold = parseInt(event.target.value, 10);
+        localStorage.setItem(OFF_ROUTE_THRESHOLD_KEY, offRouteState.threshold);
+        console.log(`[OffRoute] Alert distance set to ${offRouteState.threshold}m`);
+    });
+    console.log(`[OffRoute] Initialized with alert distance ${offRouteState.threshold}m`);
+}
+
+// Called with every live tracking position
+function checkOffRoute(lat, lon, accuracy) {
+    const lines = getCurrentTrailLines();
+    if (lines.length === 0) {
+        resetOffRouteState();
+        return null;
+    }
+
+    const nearest = nearestPointOnLines(lat, lon, lines);
+    if (!nearest) return null;
+
+    const threshold = offRouteState.threshold;
+    // Give the benefit of the doubt to inaccurate fixes, but never more than the threshold itself
+    const distance = Math.max(0, nearest.distance - Math.min(accuracy || 0, threshold));
+
+    if (distance > threshold) {
+        offRouteState.offRouteFixes++;
+        if (offRouteState.offRouteFixes >= OFF_ROUTE_SETTINGS.confirmFixes) {
+            const now = Date.now();
+            if (!offRouteState.isOffRoute || now - offRouteState.lastAlertTime >= OFF_ROUTE_SETTINGS.realertInterval) {
+                raiseOffRouteAlert(nearest.distance);
+                offRouteState.lastAlertTime = now;
+            }
+            offRouteState.isOffRoute = true;
+        }
+    } else {
+        // Any fix within the threshold breaks a run of off-route fixes
+        offRouteState.offRouteFixes = 0;
+        // Clearing the alert needs the hiker well back on the line, so it doesn't flicker at the edge
+        if (offRouteState.isOffRoute && nearest.distance <= threshold * OFF_ROUTE_SETTINGS.backOnRouteRatio) {
+            console.log('[OffRoute] Back on route');
+            if (window.toastSystem) {
+                window.toastSystem.success('Back on Route', `You are back on ${escapeXml(getCurrentTrailName())}.`);
+            }
+            offRouteState.isOffRoute = false;
+        }
+    }
+
+    updateOffRouteGuideLine(lat, lon, offRouteState.isOffRoute ? nearest : null);
+    return nearest;
+}
+
+function raiseOffRouteAlert(distance) {
+    const trailName = getCurrentTrailName();
+    console.warn(`[OffRoute] Off route: ${Math.round(distance)}m from ${trailName}`);
+
+    if (window.toastSystem) {
+        window.toastSystem.warning(
+            'Off Route',
+            `You are ${formatDistance(distance)} from ${escapeXml(trailName)}. Follow the dashed line back to the trail.`,
+            { duration: 15000 }
+        );
+    } else {
+        alert(`Off route: you are ${formatDistance(distance)} from ${trailName}.`);
+    }
+
+    if (navigator.vibrate) {
+        navigator.vibrate([300, 150, 300, 150, 300]);
+    }
+}
+
+function updateOffRouteGuideLine(lat, lon, nearest) {
+    const mapRef = window.leafletMap || map;
+    if (!mapRef) return;
+
+    if (!nearest) {
+        if (offRouteState.guideLine) {
+            mapRef.removeLayer(offRouteState.guideLine);
+            offRouteState.guideLine = null;
+        }
+        return;
+    }
+
+    const latlngs = [[lat, lon], [nearest.lat, nearest.lon]];
+    if (offRouteState.guideLine) {
+        offRouteState.guideLine.setLatLngs(latlngs);
+    } else {
+        offRouteState.guideLine = L.polyline(latlngs, {
+            color: '#ff9800',
+            weight: 3,
+            dashArray: '6, 8',
+            interactive: false
+        }).addTo(mapRef);
+    }
+}
+
+function resetOffRouteState() {
+    offRouteState.isOffRoute = false;
+    offRouteState.offRouteFixes = 0;
+    updateOffRouteGuideLine(0, 0, null);
+}
+
+function getCurrentTrailName() {
+    const trailSelect = document.getElementById('trail-select');
+    const trail = trailSelect ? getTrailById(trailSelect.value) : null;
+    return trail ? trail.name : 'the trail';
+}
+
+document.addEventListener('DOMContentLoaded', initializeOffRouteDetection);
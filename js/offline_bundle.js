@@ -0,0 +1,175 @@
+// js/offline_bundle.js
+// "Make offline-ready": one action that stores everything a hike needs without signal (trail KML,
+// elevation image, map tiles along the route and weather forecast, and checks that the precached
+// app page with the emergency contacts is there) and readiness badges in the Trails list and the
+// trail selector.
+
+// Kept by service-worker.js when it replaces its own cache on update
+const OFFLINE_BUNDLE_CACHE = 'queen-rose-offline-bundle';
+
+const OFFLINE_BUNDLE_SETTINGS = {
+    corridorBuffer: 300, // Map tiles within this distance of the route (metres)
+    zoomLevels: [13, 14, 15, 16],
+    weatherMaxAge: 24 * 60 * 60 * 1000, // Older cached forecasts are refreshed and don't count as ready
+    // The app page carries the Emergency Contacts and First Aid sections. These come from the service
+    // worker's precache, which is replaced on every update; they are only checked, never copied into
+    // the bundle cache, where a stale copy would outlive the update.
+    coreUrls: ['./index.html', './css/styles.css', './css/first-aid.css']
+};
+
+let offlineBundleInProgress = false;
+
+// The URL loadTrail really fetches, after the kml_path_fix.js filename mapping
+function getTrailKmlUrl(trail) {
+    const kmlPath = `/kml/${trail.kmlFilename}`;
+    return (typeof getNormalizedKmlUrl === 'function' && getNormalizedKmlUrl(kmlPath)) || kmlPath;
+}
+
+function getTrailBundleUrls(trail) {
+    const urls = [getTrailKmlUrl(trail)];
+    if (trail.elevationImage) urls.push(`img/elevation/${trail.elevationImage}`);
+    return urls;
+}
+
+async function isUrlCached(url) {
+    if (!('caches' in window)) return false;
+    return !!(await caches.match(url));
+}
+
+// { kml, elevationImage, tiles, weather, core, ready, missing: [labels] }
+async function getTrailReadiness(trailId) {
+    const trail = getTrailById(trailId);
+    if (!trail) return null;
+
+    const area = Object.values(getOfflineAreas()).find(a => a.trailId === trailId && a.status === 'complete');
+    const weather = await getCachedWeatherData();
+    const coreCached = await Promise.all(OFFLINE_BUNDLE_SETTINGS.coreUrls.map(isUrlCached));
+
+    const readiness = {
+        kml: await isUrlCached(getTrailKmlUrl(trail)),
+        elevationImage: trail.elevationImage ? await isUrlCached(`img/elevation/${trail.elevationImage}`) : true,
+        tiles: !!area,
+        weather: !!weather && Date.now() - weather.lastFetchedTimestamp < OFFLINE_BUNDLE_SETTINGS.weatherMaxAge,
+        core: coreCached.every(Boolean)
+    };
+    const labels = { kml: 'trail map', elevationImage: 'elevation profile', tiles: 'map tiles', weather: 'weather', core: 'emergency info' };
+    readiness.missing = Object.keys(labels).filter(key => !readiness[key]).map(key => labels[key]);
+    readiness.ready = readiness.missing.length === 0;
+    return readiness;
+}
+
+async function makeTrailOfflineReady(trailId) {
+    const trail = getTrailById(trailId);
+    if (!trail) return;
+    if (offlineBundleInProgress || offlineDownloadState.isDownloading) {
+        alert('Another offline download is in progress. Please wait for it to finish.');
+        return;
+    }
+    const mapRef = window.leafletMap || map;
+    if (!mapRef || !window.saveTilesControl || !('caches' in window)) {
+        alert('Offline storage is not available in this browser.');
+        return;
+    }
+
+    offlineBundleInProgress = true;
+    const problems = [];
+    try {
+        const layer = await loadTrail(trailId);
+        if (!layer) {
+            alert(`Could not load the map of ${trail.name}. Connect to the internet and try again.`);
+            return;
+        }
+
+        const control = window.saveTilesControl;
+        const tiles = getCorridorTileList(mapRef, control.baseLayer, extractLineStrings(layer.toGeoJSON()),
+            OFFLINE_BUNDLE_SETTINGS.corridorBuffer, OFFLINE_BUNDLE_SETTINGS.zoomLevels);
+        const estimate = formatBytes(tiles.length * getAverageTileBytes());
+        if (!confirm(`Make ${trail.name} offline-ready? This saves the trail map, elevation profile, weather, emergency info and ${tiles.length} map tiles along the route (up to about ${estimate}).`)) {
+            return;
+        }
+
+        const cache = await caches.open(OFFLINE_BUNDLE_CACHE);
+        const cacheResults = await Promise.allSettled(getTrailBundleUrls(trail).map(url => cache.add(url)));
+        cacheResults.forEach((result, index) => {
+            if (result.status === 'rejected') {
+                console.warn(`[OfflineBundle] Could not cache ${getTrailBundleUrls(trail)[index]}:`, result.reason);
+                problems.push('some trail files');
+            }
+        });
+
+        const weather = await getCachedWeatherData();
+        if (!weather || Date.now() - weather.lastFetchedTimestamp >= OFFLINE_BUNDLE_SETTINGS.weatherMaxAge) {
+            if (!(await fetchAndCacheWeatherData(true))) problems.push('the weather forecast');
+        }
+
+        const area = await downloadOfflineArea({
+            name: trail.name,
+            trailId: trail.id,
+            bounds: layer.getBounds().pad(OFFLINE_TILE_SETTINGS.boundsBuffer),
+            zoomLevels: OFFLINE_BUNDLE_SETTINGS.zoomLevels,
+            tiles: tiles,
+            skipConfirm: true
+        });
+        if (!area || area.status !== 'complete') problems.push('map tiles');
+    } catch (error) {
+        console.error('[OfflineBundle] Error preparing offline bundle:', error);
+        problems.push('an unexpected error');
+    } finally {
+        offlineBundleInProgress = false;
+    }
+
+    await updateTrailReadinessBadges();
+    const readiness = await getTrailReadiness(trailId);
+    reportOfflineBundleResult(trail, readiness, [...new Set(problems)]);
+}
+
+function reportOfflineBundleResult(trail, readiness, problems) {
+    const name = escapeXml(trail.name);
+    console.log(`[OfflineBundle] ${trail.name} ready: ${readiness.ready}`, readiness);
+    if (!window.toastSystem) {
+        alert(readiness.ready ? `${trail.name} is ready for offline use.` : `${trail.name} is not fully offline-ready. Missing: ${readiness.missing.join(', ')}.`);
+        return;
+    }
+    if (readiness.ready) {
+        window.toastSystem.success('Offline Ready', `${name} is ready to hike without signal.`);
+    } else {
+        const detail = problems.length > 0 ? ` Could not save ${problems.join(', ')}.` : '';
+        window.toastSystem.warning('Not Fully Offline-Ready', `${name} is missing: ${readiness.missing.join(', ')}.${detail} Try again while connected.`, { duration: 10000 });
+    }
+}
+
+function getReadinessBadge(readiness) {
+    if (!readiness) return { icon: '', text: '' };
+    if (readiness.ready) return { icon: '✅', text: 'Offline ready' };
+    if (readiness.kml || readiness.tiles) return { icon: '⚠️', text: `Partly offline (missing ${readiness.missing.join(', ')})` };
+    return { icon: '☁️', text: 'Needs signal' };
+}
+
+async function updateTrailReadinessBadges() {
+    if (typeof getAllTrails !== 'function') return;
+    const trailSelect = document.getElementById('trail-select');
+
+    for (const trail of getAllTrails()) {
+        let readiness = null;
+        try {
+            readiness = await getTrailReadiness(trail.id);
+        } catch (error) {
+            console.warn(`[OfflineBundle] Could not check readiness of ${trail.id}:`, error);
+        }
+        const badge = getReadinessBadge(readiness);
+
+        if (trailSelect) {
+            const option = trailSelect.querySelector(`option[value="${trail.id}"]`);
+            if (option) option.textContent = readiness && readiness.ready ? `${trail.name} ✅` : trail.name;
+        }
+        document.querySelectorAll(`.offline-readiness-badge[data-trail-id="${trail.id}"]`).forEach(element => {
+            element.textContent = `${badge.icon} ${badge.text}`;
+            element.classList.toggle('ready', !!(readiness && readiness.ready));
+        });
+    }
+}
+
+document.addEventListener('DOMContentLoaded', () => {
+    // Trail cards and the trail selector are built by app.js and map.js on DOMContentLoaded
+    setTimeout(updateTrailReadinessBadges, 1000);
+});
@@ -0,0 +1,233 @@
+// js/offline_map_manager.js
+// "Offline Maps" section: lists the tile areas saved in the leaflet.dexie store with their size,
+// zoom range and age, and lets the user preview, refresh or delete each one.
+
+let offlineAreaPreviewLayer = null;
+let offlineAreaScanCache = {}; // { name: stats } from full table scans, see getOfflineAreaListStats
+
+// Tile column/row/zoom from a stored tile key (Google "x=..&y=..&z=.." or ".../z/x/y.png" URLs)
+function parseTileKey(key) {
+    let match = /[?&]x=(\d+)&y=(\d+)&z=(\d+)/.exec(key);
+    if (match) return { x: +match[1], y: +match[2], z: +match[3] };
+    match = /\/(\d+)\/(\d+)\/(\d+)\.\w+/.exec(key);
+    if (match) return { z: +match[1], x: +match[2], y: +match[3] };
+    return null;
+}
+
+function tileToLatLng(x, y, z) {
+    const n = Math.PI - 2 * Math.PI * y / Math.pow(2, z);
+    return L.latLng(180 / Math.PI * Math.atan(Math.sinh(n)), x / Math.pow(2, z) * 360 - 180);
+}
+
+// Actual tile count, byte size, zoom range and coverage of an area's table
+async function getOfflineAreaStats(control, name) {
+    const stats = { tiles: 0, bytes: 0, minZoom: null, maxZoom: null, bounds: null };
+    await control._db.table(name).each((blob, cursor) => {
+        stats.tiles++;
+        stats.bytes += blob && blob.size ? blob.size : 0;
+
+        const tile = parseTileKey(String(cursor.primaryKey));
+        if (!tile) return;
+        stats.minZoom = stats.minZoom === null ? tile.z : Math.min(stats.minZoom, tile.z);
+        stats.maxZoom = stats.maxZoom === null ? tile.z : Math.max(stats.maxZoom, tile.z);
+        const tileBounds = L.latLngBounds(tileToLatLng(tile.x, tile.y, tile.z), tileToLatLng(tile.x + 1, tile.y + 1, tile.z));
+        if (stats.bounds) stats.bounds.extend(tileBounds);
+        else stats.bounds = tileBounds;
+    });
+    return stats;
+}
+
+// Figures for the list. Areas downloaded by offline_tiles.js carry their tile count and size, kept up
+// to date by each download; the table is only scanned for areas saved by the older map control (once
+// per page load) and when the user asks for a recount.
+async function getOfflineAreaListStats(control, name, area) {
+    if (area) {
+        return {
+            tiles: area.savedCount || 0,
+            bytes: area.bytes || 0,
+            minZoom: area.zoomLevels[0],
+            maxZoom: area.zoomLevels[area.zoomLevels.length - 1],
+            bounds: L.latLngBounds(area.bounds)
+        };
+    }
+    if (!offlineAreaScanCache[name]) offlineAreaScanCache[name] = await getOfflineAreaStats(control, name);
+    return offlineAreaScanCache[name];
+}
+
+async function recountOfflineArea(name) {
+    const control = window.saveTilesControl;
+    if (!control) return;
+    try {
+        const stats = await getOfflineAreaStats(control, name);
+        offlineAreaScanCache[name] = stats;
+        const area = getOfflineAreas()[name];
+        if (area) {
+            area.savedCount = stats.tiles;
+            area.bytes = stats.bytes;
+            area.status = stats.tiles >= area.tileCount ? 'complete' : 'partial';
+            saveOfflineArea(area);
+        }
+        console.log(`[OfflineMaps] Recounted '${name}': ${stats.tiles} tiles, ${formatBytes(stats.bytes)}`);
+    } catch (error) {
+        console.error('[OfflineMaps] Error recounting offline area:', error);
+    }
+    loadAndDisplayOfflineAreas();
+}
+
+function formatAge(timestamp) {
+    if (!timestamp) return 'unknown';
+    const days = Math.floor((Date.now() - timestamp) / (24 * 60 * 60 * 1000));
+    if (days === 0) return 'today';
+    if (days === 1) return 'yesterday';
+    return `${days} days ago`;
+}
+
+async function loadAndDisplayOfflineAreas() {
+    const container = document.getElementById('offline-areas-list-container');
+    if (!container) {
+        console.error('[OfflineMaps] Offline areas list container not found');
+        return;
+    }
+
+    const control = window.saveTilesControl;
+    if (!control) {
+        container.innerHTML = '<p>Offline map storage is not available.</p>';
+        return;
+    }
+
+    try {
+        const metadata = getOfflineAreas();
+        const names = control.status.tnames.slice().sort();
+        container.innerHTML = '';
+
+        if (names.length === 0) {
+            container.innerHTML = '<p>No offline map areas saved yet. Select a trail on the map and tap 💾 Download.</p>';
+            updateOfflineStorageSummary(0, 0);
+            return;
+        }
+
+        let totalBytes = 0;
+        for (const name of names) {
+            const stats = await getOfflineAreaListStats(control, name, metadata[name]);
+            totalBytes += stats.bytes;
+            addOfflineAreaToList(name, stats, metadata[name], container);
+        }
+        updateOfflineStorageSummary(names.length, totalBytes);
+    } catch (error) {
+        console.error('[OfflineMaps] Error loading offline areas:', error);
+        container.innerHTML = '<p>Error loading offline map areas.</p>';
+    }
+}
+
+async function updateOfflineStorageSummary(areaCount, totalBytes) {
+    const summary = document.getElementById('offline-storage-summary');
+    if (!summary) return;
+    let text = `${areaCount} area${areaCount === 1 ? '' : 's'}, ${formatBytes(totalBytes)} of map tiles.`;
+    if (navigator.storage && navigator.storage.estimate) {
+        try {
+            const estimate = await navigator.storage.estimate();
+            text += ` Device storage used by the app: ${formatBytes(estimate.usage)} of ${formatBytes(estimate.quota)}.`;
+        } catch (error) {
+            console.warn('[OfflineMaps] Storage estimate not available:', error);
+        }
+    }
+    summary.textContent = text;
+}
+
+// area: saved download details from offline_tiles.js; absent for areas saved with the older map control
+function addOfflineAreaToList(name, stats, area, container) {
+    const bounds = area ? L.latLngBounds(area.bounds) : stats.bounds;
+    const zoomLevels = area ? area.zoomLevels : null;
+    const zoomLabel = stats.minZoom !== null ? `${stats.minZoom}–${stats.maxZoom}` : 'unknown';
+
+    const item = document.createElement('div');
+    item.className = 'track-list-item offline-area-item';
+    item.innerHTML = `
+        <h4>${escapeXml(name)}</h4>
+        <p>Tiles: ${stats.tiles}${area ? ` of ${area.tileCount}` : ''} · Size: ${formatBytes(stats.bytes)}</p>
+        <p>Zoom levels: ${zoomLabel}${area && area.status === 'partial' ? ' · <strong>Incomplete</strong>' : ''}</p>
+        <p><small>Saved: ${area ? `${new Date(area.updatedAt).toLocaleString()} (${formatAge(area.updatedAt)})` : 'unknown'}</small></p>
+    `;
+
+    const previewButton = document.createElement('button');
+    previewButton.textContent = 'Show on Map';
+    previewButton.disabled = !bounds;
+    previewButton.onclick = () => previewOfflineArea(name, bounds);
+
+    const refreshButton = document.createElement('button');
+    refreshButton.textContent = area && area.status === 'partial' ? 'Resume' : 'Refresh';
+    refreshButton.disabled = !bounds;
+    refreshButton.onclick = async () => {
+        if (offlineDownloadState.isDownloading) {
+            alert(`Please wait until '${offlineDownloadState.areaName}' has finished downloading.`);
+            return;
+        }
+        const levels = zoomLevels || rangeOfZoomLevels(stats.minZoom, stats.maxZoom);
+        await downloadOfflineArea({
+            name: name,
+            trailId: area ? area.trailId : null,
+            bounds: bounds,
+            zoomLevels: levels,
+            refresh: !area || area.status !== 'partial'
+        });
+    };
+
+    const recountButton = document.createElement('button');
+    recountButton.textContent = 'Recount';
+    recountButton.title = 'Count the stored tiles and their size again';
+    recountButton.onclick = () => recountOfflineArea(name);
+
+    const deleteButton = document.createElement('button');
+    deleteButton.textContent = 'Delete';
+    deleteButton.onclick = async () => {
+        if (!confirm(`Delete the offline map area "${name}" (${formatBytes(stats.bytes)})?`)) return;
+        try {
+            await deleteOfflineArea(name);
+            delete offlineAreaScanCache[name];
+            if (offlineAreaPreviewLayer && offlineAreaPreviewLayer.areaName === name) clearOfflineAreaPreview();
+            loadAndDisplayOfflineAreas();
+        } catch (error) {
+            console.error('[OfflineMaps] Error deleting offline area:', error);
+            alert(`Error deleting offline map area: ${error.message}`);
+        }
+    };
+
+    item.appendChild(previewButton);
+    item.appendChild(refreshButton);
+    item.appendChild(recountButton);
+    item.appendChild(deleteButton);
+    container.appendChild(item);
+}
+
+function rangeOfZoomLevels(minZoom, maxZoom) {
+    const levels = [];
+    for (let zoom = minZoom; zoom <= maxZoom; zoom++) levels.push(zoom);
+    return levels;
+}
+
+function previewOfflineArea(name, bounds) {
+    const mapRef = window.leafletMap || map;
+    if (!mapRef || !bounds) return;
+
+    clearOfflineAreaPreview();
+    offlineAreaPreviewLayer = L.rectangle(bounds, {
+        color: '#2196F3',
+        weight: 2,
+        dashArray: '6, 6',
+        fillOpacity: 0.08
+    }).bindTooltip(`Offline area: ${escapeXml(name)} (tap to hide)`, { sticky: true });
+    offlineAreaPreviewLayer.areaName = name;
+    offlineAreaPreviewLayer.on('click', clearOfflineAreaPreview);
+    offlineAreaPreviewLayer.addTo(mapRef);
+
+    switchSection('map');
+    mapRef.fitBounds(bounds);
+}
+
+function clearOfflineAreaPreview() {
+    const mapRef = window.leafletMap || map;
+    if (offlineAreaPreviewLayer && mapRef) mapRef.removeLayer(offlineAreaPreviewLayer);
+    offlineAreaPreviewLayer = null;
+}
+
+console.log('[OfflineMaps] offline_map_manager.js loaded.');
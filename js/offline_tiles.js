@@ -0,0 +1,402 @@
+// js/offline_tiles.js
+// Offline map areas: downloads the satellite tiles covering a trail into the leaflet.dexie store
+// ("leaflet-maps" database, one table per area) so the base layer can draw them without signal.
+// Area details are kept in localStorage so a cancelled or interrupted download can be resumed.
+
+const OFFLINE_AREAS_KEY = 'offlineMapAreas';
+const ACTIVE_OFFLINE_AREA_KEY = 'activeOfflineMapArea';
+
+const OFFLINE_TILE_SETTINGS = {
+    zoomChoices: {
+        '13-15': [13, 14, 15],
+        '13-16': [13, 14, 15, 16],
+        '13-17': [13, 14, 15, 16, 17]
+    },
+    defaultZoomChoice: '13-16',
+    boundsBuffer: 0.15, // Padding around the trail, as a fraction of its size
+    concurrency: 4,
+    estimatedTileBytes: 20 * 1024, // Used for size estimates until real tiles have been saved
+    maxTiles: 20000 // Refuse downloads larger than this (roughly 400 MB of satellite imagery)
+};
+
+let offlineDownloadState = {
+    isDownloading: false,
+    cancelRequested: false,
+    areaName: null,
+    total: 0,
+    saved: 0,
+    failed: 0,
+    bytes: 0
+};
+
+function formatBytes(bytes) {
+    if (typeof bytes !== 'number' || isNaN(bytes)) return 'N/A';
+    if (bytes < 1024 * 1024) return `${Math.round(bytes / 1024)} KB`;
+    return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+}
+
+function getOfflineAreas() {
+    try {
+        return JSON.parse(localStorage.getItem(OFFLINE_AREAS_KEY) || '{}');
+    } catch (error) {
+        return {};
+    }
+}
+
+function saveOfflineArea(area) {
+    const areas = getOfflineAreas();
+    areas[area.name] = area;
+    localStorage.setItem(OFFLINE_AREAS_KEY, JSON.stringify(areas));
+}
+
+// Average tile size of earlier downloads, so estimates match the imagery over this area
+function getAverageTileBytes() {
+    let bytes = 0;
+    let tiles = 0;
+    Object.values(getOfflineAreas()).forEach(area => {
+        bytes += area.bytes || 0;
+        tiles += area.savedCount || 0;
+    });
+    return tiles > 0 ? bytes / tiles : OFFLINE_TILE_SETTINGS.estimatedTileBytes;
+}
+
+// Tile keys and URLs for the bounds at each zoom level, in the form leaflet.dexie stores them
+function getOfflineTileList(mapRef, baseLayer, bounds, zoomLevels) {
+    let tiles = [];
+    zoomLevels.forEach(zoom => {
+        const pixelBounds = L.bounds(
+            mapRef.project(bounds.getNorthWest(), zoom),
+            mapRef.project(bounds.getSouthEast(), zoom)
+        );
+        tiles = tiles.concat(baseLayer.getTileUrls(pixelBounds, zoom));
+    });
+    return tiles;
+}
+
+// Tiles within bufferMeters of the trail lines only, instead of the whole bounding box
+function getCorridorTileList(mapRef, baseLayer, lines, bufferMeters, zoomLevels) {
+    const tilesByKey = new Map();
+    const addTilesAround = (lat, lon, zoom) => {
+        const dLat = bufferMeters / 111320;
+        const dLon = dLat / Math.cos(toRadians(lat));
+        const pixelBounds = L.bounds(
+            mapRef.project([lat + dLat, lon - dLon], zoom),
+            mapRef.project([lat - dLat, lon + dLon], zoom)
+        );
+        baseLayer.getTileUrls(pixelBounds, zoom).forEach(tile => tilesByKey.set(tile.key, tile));
+    };
+
+    zoomLevels.forEach(zoom => {
+        lines.forEach(line => {
+            const coordinates = line.coordinates;
+            for (let i = 0; i < coordinates.length; i++) {
+                addTilesAround(coordinates[i][1], coordinates[i][0], zoom);
+                if (i === 0) continue;
+                // Fill long segments so the corridor has no gaps between vertices
+                const [lon1, lat1] = coordinates[i - 1];
+                const [lon2, lat2] = coordinates[i];
+                const steps = Math.ceil(haversineDistance(lat1, lon1, lat2, lon2) / bufferMeters);
+                for (let step = 1; step < steps; step++) {
+                    const t = step / steps;
+                    addTilesAround(lat1 + (lat2 - lat1) * t, lon1 + (lon2 - lon1) * t, zoom);
+                }
+            }
+        });
+    });
+    return Array.from(tilesByKey.values());
+}
+
+// Make the base layer read tiles from the given area's table
+function activateOfflineArea(name) {
+    const control = window.saveTilesControl;
+    if (!control || !control.status.tnames.includes(name)) return false;
+    control.setTable(name);
+    localStorage.setItem(ACTIVE_OFFLINE_AREA_KEY, name);
+    console.log(`[OfflineTiles] Offline map area '${name}' active`);
+    return true;
+}
+
+async function ensureOfflineAreaTable(control, name) {
+    if (!control.status.tnames.includes(name)) {
+        await control._extendSchema(`+${name}`);
+    }
+    control.setTable(name);
+    localStorage.setItem(ACTIVE_OFFLINE_AREA_KEY, name);
+}
+
+// Selected trail with a buffer around it, or the current view when no trail is shown
+function getOfflineDownloadTarget(mapRef) {
+    const trailSelect = document.getElementById('trail-select');
+    const trailId = trailSelect ? trailSelect.value : 'none';
+    const trail = trailId !== 'none' ? getTrailById(trailId) : null;
+
+    if (trail && typeof currentTrailLayer !== 'undefined' && currentTrailLayer && currentTrailLayer.getBounds().isValid()) {
+        return {
+            name: trail.name,
+            trailId: trail.id,
+            bounds: currentTrailLayer.getBounds().pad(OFFLINE_TILE_SETTINGS.boundsBuffer)
+        };
+    }
+    return {
+        name: `Map view ${new Date().toISOString().slice(0, 10)}`,
+        trailId: null,
+        bounds: mapRef.getBounds()
+    };
+}
+
+function getSelectedZoomLevels() {
+    const zoomSelect = document.getElementById('download-zoom-select');
+    const choice = zoomSelect ? zoomSelect.value : OFFLINE_TILE_SETTINGS.defaultZoomChoice;
+    return OFFLINE_TILE_SETTINGS.zoomChoices[choice] || OFFLINE_TILE_SETTINGS.zoomChoices[OFFLINE_TILE_SETTINGS.defaultZoomChoice];
+}
+
+// Download button: starts a download, or cancels the one in progress
+async function handleOfflineDownloadClick() {
+    if (offlineDownloadState.isDownloading) {
+        offlineDownloadState.cancelRequested = true;
+        updateOfflineDownloadButton('Cancelling...');
+        return;
+    }
+
+    const mapRef = window.leafletMap || map;
+    if (!mapRef || !window.saveTilesControl) {
+        alert('The map is not ready yet. Please try again in a moment.');
+        return;
+    }
+
+    const target = getOfflineDownloadTarget(mapRef);
+    const zoomLevels = getSelectedZoomLevels();
+    await downloadOfflineArea({
+        name: target.name,
+        trailId: target.trailId,
+        bounds: target.bounds,
+        zoomLevels: zoomLevels
+    });
+}
+
+// Download (or resume) an offline area. Tiles already in the area's table are skipped,
+// unless options.refresh is set, in which case every tile is fetched again and overwritten.
+// options.tiles replaces the bounding-box tile list; options.skipConfirm is for callers that already asked.
+async function downloadOfflineArea(options) {
+    const mapRef = window.leafletMap || map;
+    const control = window.saveTilesControl;
+    const baseLayer = control.baseLayer;
+    const name = options.name;
+
+    const tiles = options.tiles || getOfflineTileList(mapRef, baseLayer, options.bounds, options.zoomLevels);
+    if (tiles.length > OFFLINE_TILE_SETTINGS.maxTiles) {
+        alert(`This area needs ${tiles.length} tiles, more than the ${OFFLINE_TILE_SETTINGS.maxTiles} allowed. Choose fewer zoom levels or a smaller area.`);
+        return null;
+    }
+
+    const existingKeys = control.status.tnames.includes(name)
+        ? new Set(await control._db.table(name).toCollection().primaryKeys())
+        : new Set();
+    const missing = options.refresh ? tiles : tiles.filter(tile => !existingKeys.has(tile.key));
+    const previous = getOfflineAreas()[name];
+
+    const area = {
+        name: name,
+        trailId: options.trailId,
+        bounds: [[options.bounds.getSouth(), options.bounds.getWest()], [options.bounds.getNorth(), options.bounds.getEast()]],
+        zoomLevels: options.zoomLevels,
+        tileCount: tiles.length,
+        savedCount: tiles.filter(tile => existingKeys.has(tile.key)).length,
+        // A refresh replaces tiles one by one, so it starts from the stored total and adjusts per tile
+        bytes: previous && previous.bytes ? previous.bytes : existingKeys.size * getAverageTileBytes(),
+        status: 'partial',
+        createdAt: previous ? previous.createdAt : Date.now(),
+        updatedAt: Date.now()
+    };
+
+    if (missing.length === 0) {
+        if (!options.skipConfirm) alert(`'${name}' is already fully downloaded (${tiles.length} tiles).`);
+        area.savedCount = tiles.length;
+        area.status = 'complete';
+        area.updatedAt = previous ? previous.updatedAt : Date.now();
+        saveOfflineArea(area);
+        activateOfflineArea(name);
+        return area;
+    }
+
+    const estimate = formatBytes(missing.length * getAverageTileBytes());
+    const zoomLabel = `zoom ${options.zoomLevels[0]}–${options.zoomLevels[options.zoomLevels.length - 1]}`;
+    let question = area.savedCount > 0
+        ? `Resume downloading '${name}'? ${area.savedCount} of ${tiles.length} tiles are saved; ${missing.length} remaining (about ${estimate}).`
+        : `Download '${name}' for offline use? ${tiles.length} satellite tiles at ${zoomLabel} (about ${estimate}).`;
+    if (options.refresh) {
+        question = `Refresh '${name}'? All ${tiles.length} tiles at ${zoomLabel} will be downloaded again (about ${estimate}).`;
+    }
+    if (!options.skipConfirm && !confirm(question)) return null;
+
+    saveOfflineArea(area);
+
+    try {
+        await ensureOfflineAreaTable(control, name);
+    } catch (error) {
+        console.error('[OfflineTiles] Could not create offline map table:', error);
+        alert('Could not prepare offline map storage. See console for details.');
+        return null;
+    }
+
+    offlineDownloadState = {
+        isDownloading: true,
+        cancelRequested: false,
+        areaName: name,
+        total: tiles.length,
+        saved: options.refresh ? 0 : area.savedCount,
+        failed: 0,
+        bytes: area.bytes
+    };
+    console.log(`[OfflineTiles] Downloading ${missing.length} tiles for '${name}'`);
+    updateOfflineDownloadProgress();
+
+    let next = 0;
+    const worker = async () => {
+        while (next < missing.length && !offlineDownloadState.cancelRequested) {
+            const tile = missing[next++];
+            try {
+                // Rejects on any non-OK response, including the service worker's 504 placeholder tile
+                const blob = await control._downloadTile(tile.url);
+                const replaced = existingKeys.has(tile.key) ? await control.dtable.get(tile.key) : null;
+                await control.dtable.put(blob, tile.key);
+                offlineDownloadState.saved++;
+                offlineDownloadState.bytes += blob.size - (replaced && replaced.size ? replaced.size : 0);
+            } catch (error) {
+                offlineDownloadState.failed++;
+                console.warn(`[OfflineTiles] Tile failed: ${tile.url}`, error);
+            }
+            updateOfflineDownloadProgress();
+        }
+    };
+    await Promise.all(Array.from({ length: OFFLINE_TILE_SETTINGS.concurrency }, worker));
+
+    const cancelled = offlineDownloadState.cancelRequested;
+    // Count what is really stored, which also covers old tiles kept by a cancelled refresh
+    const storedKeys = new Set(await control._db.table(name).toCollection().primaryKeys());
+    area.savedCount = tiles.filter(tile => storedKeys.has(tile.key)).length;
+    area.bytes = offlineDownloadState.bytes;
+    area.status = area.savedCount >= area.tileCount ? 'complete' : 'partial';
+    area.updatedAt = Date.now();
+    saveOfflineArea(area);
+    offlineDownloadState.isDownloading = false;
+    updateOfflineDownloadButton(null);
+    const status = document.getElementById('offline-map-download-status');
+    if (status) status.textContent = '';
+    control.setStorageSize();
+
+    reportOfflineDownloadResult(area, cancelled, offlineDownloadState.failed);
+    if (typeof loadAndDisplayOfflineAreas === 'function') loadAndDisplayOfflineAreas();
+    if (typeof updateTrailReadinessBadges === 'function') updateTrailReadinessBadges();
+    return area;
+}
+
+async function deleteOfflineArea(name) {
+    const control = window.saveTilesControl;
+    if (!control) return;
+    if (offlineDownloadState.isDownloading && offlineDownloadState.areaName === name) {
+        throw new Error(`'${name}' is still downloading`);
+    }
+
+    if (control.status.tnames.includes(name)) {
+        if (control.dtable && control.dtable.name === name) {
+            control.dtable = null;
+            control.baseLayer.dtable = null;
+        }
+        await control._extendSchema(name); // Without the "+" prefix this drops the table
+    }
+
+    const areas = getOfflineAreas();
+    delete areas[name];
+    localStorage.setItem(OFFLINE_AREAS_KEY, JSON.stringify(areas));
+
+    if (localStorage.getItem(ACTIVE_OFFLINE_AREA_KEY) === name) {
+        localStorage.removeItem(ACTIVE_OFFLINE_AREA_KEY);
+        if (control.status.tnames.length > 0) activateOfflineArea(control.status.tnames[0]);
+    }
+    console.log(`[OfflineTiles] Deleted offline map area '${name}'`);
+}
+
+// leaflet.dexie only reads the active area's table; fall back to the other saved areas so
+// every downloaded trail is shown offline, not just the last one
+function installOfflineTileFallback(control) {
+    const baseLayer = control.baseLayer;
+    const setDataUrl = baseLayer._setDataUrl;
+    baseLayer._setDataUrl = function(url) {
+        return setDataUrl.call(this, url).catch(async () => {
+            const key = this._getStorageKey(url);
+            const activeName = this.dtable ? this.dtable.name : null;
+            for (const name of control.status.tnames) {
+                if (name === activeName) continue;
+                const blob = await control._db.table(name).get(key);
+                if (blob) return URL.createObjectURL(blob);
+            }
+            throw new Error('Tile not available offline');
+        });
+    };
+}
+
+function reportOfflineDownloadResult(area, cancelled, failed) {
+    const summary = `${area.savedCount} of ${area.tileCount} tiles saved (${formatBytes(area.bytes)}).`;
+    console.log(`[OfflineTiles] '${area.name}' ${area.status}: ${summary}`);
+    if (!window.toastSystem) {
+        alert(`${area.name}: ${summary}`);
+        return;
+    }
+    const name = escapeXml(area.name);
+    if (area.status === 'complete') {
+        window.toastSystem.success('Offline Map Ready', `${name}: ${summary}`);
+    } else if (cancelled) {
+        window.toastSystem.info('Download Paused', `${name}: ${summary} Tap Download again to resume.`);
+    } else {
+        window.toastSystem.warning('Download Incomplete', `${name}: ${summary} ${failed} tiles failed; tap Download again to retry them.`);
+    }
+}
+
+function updateOfflineDownloadProgress() {
+    const state = offlineDownloadState;
+    const percent = state.total > 0 ? Math.floor((state.saved / state.total) * 100) : 0;
+    updateOfflineDownloadButton(`✖ Cancel ${percent}% (${formatBytes(state.bytes)})`);
+
+    const status = document.getElementById('offline-map-download-status');
+    if (status) {
+        status.textContent = `Downloading ${state.areaName}: ${state.saved} of ${state.total} tiles (${percent}%, ${formatBytes(state.bytes)})`;
+    }
+}
+
+function updateOfflineDownloadButton(text) {
+    const downloadBtn = document.getElementById('download-map-btn');
+    if (!downloadBtn) return;
+    downloadBtn.textContent = text || '💾 Download';
+    downloadBtn.classList.toggle('downloading', offlineDownloadState.isDownloading);
+    downloadBtn.title = offlineDownloadState.isDownloading
+        ? `Downloading ${offlineDownloadState.areaName}: ${offlineDownloadState.saved}/${offlineDownloadState.total} tiles`
+        : 'Download map tiles around the selected trail for offline use';
+}
+
+function initializeOfflineTiles() {
+    const zoomSelect = document.getElementById('download-zoom-select');
+    if (zoomSelect) {
+        zoomSelect.innerHTML = '';
+        Object.keys(OFFLINE_TILE_SETTINGS.zoomChoices).forEach(choice => {
+            const option = document.createElement('option');
+            option.value = choice;
+            option.textContent = `Z${choice}`;
+            zoomSelect.appendChild(option);
+        });
+        zoomSelect.value = OFFLINE_TILE_SETTINGS.defaultZoomChoice;
+    }
+    updateOfflineDownloadButton(null);
+
+    const control = window.saveTilesControl;
+    if (control) installOfflineTileFallback(control);
+
+    // Tables only show up once map.js has opened the tile database
+    const activeArea = localStorage.getItem(ACTIVE_OFFLINE_AREA_KEY);
+    if (control && activeArea) {
+        control.baseLayer.once('tblevent', () => activateOfflineArea(activeArea));
+        if (control.status.tnames.length > 0) activateOfflineArea(activeArea);
+    }
+}
+
+document.addEventListener('DOMContentLoaded', initializeOfflineTiles);
@@ -0,0 +1,310 @@
+// js/track_comparison.js
+// Compares recorded tracks with an official trail line: how much of the hike was on the route,
+// where the hiker left it, and whether each departure looks like a shortcut or a wrong turn.
+// Comparing all tracks at once marks the places where hikers repeatedly leave the marked path.
+
+const TRACK_COMPARISON_SETTINGS = {
+    defaultThreshold: 50, // Used when off_route.js has no alert distance set (metres)
+    minOffPoints: 2, // Consecutive off-route points needed for a deviation, so one bad fix doesn't count
+    shortcutRatio: 1.5, // Trail distance skipped must exceed the distance walked by this factor
+    wrongTurnRatio: 0.3, // Rejoining within this fraction of the distance walked off-trail = went out and back
+    hotspotRadius: 75 // Departures from several tracks within this distance are grouped (metres)
+};
+
+let trackComparisonLayer = null;
+
+function getComparisonThreshold() {
+    return typeof offRouteState !== 'undefined' ? offRouteState.threshold : TRACK_COMPARISON_SETTINGS.defaultThreshold;
+}
+
+// Nearest trail point and distance along that trail line for every track point
+function matchTrackToTrail(track, lines, cumulative) {
+    const matches = [];
+    track.segments.forEach((segment, segmentIndex) => {
+        segment.forEach((point, index) => {
+            const nearest = nearestPointOnLines(point.lat, point.lon, lines);
+            matches.push({
+                point: point,
+                segmentIndex: segmentIndex,
+                segmentStart: index === 0,
+                nearest: nearest,
+                along: nearest ? distanceAlongLine(cumulative[nearest.lineIndex], nearest) : null
+            });
+        });
+    });
+    return matches;
+}
+
+function classifyDeviation(section, matches) {
+    const before = section.start > 0 && !matches[section.start].segmentStart ? matches[section.start - 1] : null;
+    const after = section.end < matches.length - 1 && !matches[section.end + 1].segmentStart ? matches[section.end + 1] : null;
+
+    if (!after) return { type: 'left-trail', label: 'Left the trail and did not return' };
+    if (!before) return { type: 'joined-late', label: 'Joined the trail from elsewhere' };
+    if (before.nearest.lineIndex !== after.nearest.lineIndex) {
+        return { type: 'detour', label: 'Detour between trail sections' };
+    }
+    const skipped = Math.abs(after.along - before.along);
+    if (skipped > section.walked * TRACK_COMPARISON_SETTINGS.shortcutRatio) {
+        return { type: 'shortcut', label: `Possible shortcut (skipped ${formatDistance(skipped)} of trail)` };
+    }
+    if (skipped < section.walked * TRACK_COMPARISON_SETTINGS.wrongTurnRatio) {
+        return { type: 'wrong-turn', label: 'Possible wrong turn (went off and came back)' };
+    }
+    return { type: 'detour', label: 'Detour alongside the trail' };
+}
+
+// { onRoutePercent, distance, offDistance, deviations: [{ start, end, walked, maxDistance, latlngs, type, label }] }
+function compareTrackWithTrail(track, lines) {
+    const threshold = getComparisonThreshold();
+    const cumulative = lines.map(line => cumulativeDistances(line.coordinates));
+    const matches = matchTrackToTrail(track, lines, cumulative);
+    const isOff = match => !match.nearest || match.nearest.distance > threshold;
+
+    let distance = 0;
+    let offDistance = 0;
+    const deviations = [];
+    let current = null;
+
+    matches.forEach((match, index) => {
+        const previous = index > 0 && !match.segmentStart ? matches[index - 1] : null;
+        const step = previous ? haversineDistance(previous.point.lat, previous.point.lon, match.point.lat, match.point.lon) : 0;
+        distance += step;
+
+        if (current && (!isOff(match) || match.segmentStart)) {
+            if (current.end - current.start + 1 >= TRACK_COMPARISON_SETTINGS.minOffPoints) deviations.push(current);
+            current = null;
+        }
+        if (isOff(match)) {
+            if (!current) current = { start: index, end: index, walked: 0, maxDistance: 0, latlngs: [] };
+            current.end = index;
+            current.walked += current.latlngs.length > 0 ? step : 0;
+            current.maxDistance = Math.max(current.maxDistance, match.nearest ? match.nearest.distance : Infinity);
+            current.latlngs.push([match.point.lat, match.point.lon]);
+        }
+    });
+    if (current && current.end - current.start + 1 >= TRACK_COMPARISON_SETTINGS.minOffPoints) deviations.push(current);
+
+    deviations.forEach(section => {
+        Object.assign(section, classifyDeviation(section, matches));
+        offDistance += section.walked;
+        // Where the hiker left the trail, for hotspots
+        const leftFrom = section.start > 0 && !matches[section.start].segmentStart ? matches[section.start - 1].point : matches[section.start].point;
+        section.departure = { lat: leftFrom.lat, lon: leftFrom.lon };
+    });
+
+    return {
+        distance: distance,
+        offDistance: offDistance,
+        onRoutePercent: distance > 0 ? Math.max(0, (distance - offDistance) / distance * 100) : 0,
+        deviations: deviations
+    };
+}
+
+// Null when the trail can't be loaded, e.g. offline before it was made offline-ready
+async function getComparisonTrailLines(trailId) {
+    let layer;
+    try {
+        layer = await loadTrail(trailId);
+    } catch (error) {
+        console.warn(`[TrackComparison] Could not load trail ${trailId}:`, error);
+        return null;
+    }
+    if (!layer) return null;
+    const lines = extractLineStrings(layer.toGeoJSON());
+    return lines.length > 0 ? { layer: layer, lines: lines } : null;
+}
+
+function clearTrackComparison() {
+    const mapRef = window.leafletMap || map;
+    if (trackComparisonLayer && mapRef) mapRef.removeLayer(trackComparisonLayer);
+    trackComparisonLayer = null;
+}
+
+const DEVIATION_COLORS = {
+    'shortcut': '#8E24AA',
+    'wrong-turn': '#C62828',
+    'left-trail': '#C62828',
+    'joined-late': '#EF6C00',
+    'detour': '#EF6C00'
+};
+
+function showTrackComparisonOnMap(track, trail, result) {
+    const mapRef = window.leafletMap || map;
+    if (!mapRef) return;
+    clearTrackComparison();
+
+    trackComparisonLayer = L.layerGroup().addTo(mapRef);
+    L.geoJSON(trail.layer.toGeoJSON(), {
+        style: { color: '#1565C0', weight: 4, opacity: 0.6 },
+        filter: feature => feature.geometry && feature.geometry.type !== 'Point'
+    }).addTo(trackComparisonLayer);
+    L.polyline(track.segments.map(segment => segment.map(point => [point.lat, point.lon])), {
+        color: '#2E7D32',
+        weight: 3,
+        opacity: 0.9
+    }).addTo(trackComparisonLayer);
+
+    result.deviations.forEach(section => {
+        L.polyline(section.latlngs, {
+            color: DEVIATION_COLORS[section.type],
+            weight: 6,
+            opacity: 0.9
+        }).bindPopup(`<b>${section.label}</b><br>Walked off-trail: ${formatDistance(section.walked)}<br>Furthest from trail: ${formatDistance(section.maxDistance)}`)
+            .addTo(trackComparisonLayer);
+    });
+
+    if (typeof switchSection === 'function') switchSection('map');
+    mapRef.fitBounds(trail.layer.getBounds().extend(L.polyline(track.segments.map(s => s.map(p => [p.lat, p.lon]))).getBounds()));
+}
+
+function renderTrackComparisonResult(trailName, result) {
+    const counts = {};
+    result.deviations.forEach(section => { counts[section.type] = (counts[section.type] || 0) + 1; });
+    const summary = [
+        counts['shortcut'] ? `${counts['shortcut']} possible shortcut${counts['shortcut'] === 1 ? '' : 's'}` : '',
+        counts['wrong-turn'] ? `${counts['wrong-turn']} possible wrong turn${counts['wrong-turn'] === 1 ? '' : 's'}` : '',
+        counts['detour'] ? `${counts['detour']} detour${counts['detour'] === 1 ? '' : 's'}` : ''
+    ].filter(Boolean).join(', ');
+
+    return `
+        <p><strong>${Math.round(result.onRoutePercent)}%</strong> on ${escapeXml(trailName)}
+            (${formatDistance(result.offDistance)} of ${formatDistance(result.distance)} off the trail, more than ${getComparisonThreshold()} m away).</p>
+        <p>${result.deviations.length === 0 ? 'No deviations from the trail.' : `${result.deviations.length} deviation${result.deviations.length === 1 ? '' : 's'}${summary ? `: ${summary}` : ''}.`}</p>
+        <ul>${result.deviations.map(section => `<li>${section.label}: ${formatDistance(section.walked)} off-trail, up to ${formatDistance(section.maxDistance)} away</li>`).join('')}</ul>
+    `;
+}
+
+async function compareRecordedTrack(track, trailId, resultElement) {
+    const trailInfo = getTrailById(trailId);
+    resultElement.innerHTML = '<p>Comparing…</p>';
+    try {
+        const trail = await getComparisonTrailLines(trailId);
+        if (!trail) {
+            resultElement.innerHTML = `<p>Could not load ${escapeXml(trailInfo ? trailInfo.name : trailId)}. Connect to the internet or make the trail offline-ready first.</p>`;
+            return;
+        }
+        const result = compareTrackWithTrail(track, trail.lines);
+        console.log(`[TrackComparison] "${track.name}" vs ${trailId}: ${result.onRoutePercent.toFixed(1)}% on route, ${result.deviations.length} deviations`);
+        resultElement.innerHTML = renderTrackComparisonResult(trailInfo.name, result);
+
+        const showButton = document.createElement('button');
+        showButton.textContent = 'Show on Map';
+        showButton.onclick = () => showTrackComparisonOnMap(track, trail, result);
+        resultElement.appendChild(showButton);
+    } catch (error) {
+        console.error('[TrackComparison] Error comparing track:', error);
+        resultElement.innerHTML = '<p>Error comparing the track. See console for details.</p>';
+    }
+}
+
+// Departure points from all tracks grouped within hotspotRadius: [{ lat, lon, count, tracks }]
+function findDeviationHotspots(departures) {
+    const hotspots = [];
+    departures.forEach(departure => {
+        const hotspot = hotspots.find(spot =>
+            haversineDistance(spot.lat, spot.lon, departure.lat, departure.lon) <= TRACK_COMPARISON_SETTINGS.hotspotRadius);
+        if (hotspot) {
+            hotspot.count++;
+            if (!hotspot.tracks.includes(departure.trackName)) hotspot.tracks.push(departure.trackName);
+        } else {
+            hotspots.push({ lat: departure.lat, lon: departure.lon, count: 1, tracks: [departure.trackName], label: departure.label });
+        }
+    });
+    return hotspots.sort((a, b) => b.tracks.length - a.tracks.length);
+}
+
+// All recorded tracks that touch the trail, with the places several of them left it
+async function compareAllTracksWithTrail(trailId, resultElement) {
+    const trailInfo = getTrailById(trailId);
+    resultElement.innerHTML = '<p>Comparing all tracks…</p>';
+    try {
+        const trail = await getComparisonTrailLines(trailId);
+        if (!trail) {
+            resultElement.innerHTML = `<p>Could not load ${escapeXml(trailInfo ? trailInfo.name : trailId)}. Connect to the internet or make the trail offline-ready first.</p>`;
+            return;
+        }
+        const tracks = await db.recorded_tracks.toArray();
+        const departures = [];
+        let compared = 0;
+        tracks.forEach(track => {
+            const result = compareTrackWithTrail(track, trail.lines);
+            if (result.onRoutePercent < 20) return; // Hiked somewhere else
+            compared++;
+            result.deviations.forEach(section => departures.push(Object.assign({ trackName: track.name, label: section.label }, section.departure)));
+        });
+
+        const hotspots = findDeviationHotspots(departures);
+        const repeated = hotspots.filter(spot => spot.tracks.length > 1);
+        resultElement.innerHTML = `
+            <p>${compared} of ${tracks.length} recorded tracks follow ${escapeXml(trailInfo.name)}.
+            ${repeated.length > 0 ? `<strong>${repeated.length}</strong> place${repeated.length === 1 ? '' : 's'} where more than one hike left the trail.` : 'No place where more than one hike left the trail.'}</p>
+        `;
+        if (hotspots.length === 0) return;
+
+        const showButton = document.createElement('button');
+        showButton.textContent = 'Show Hotspots on Map';
+        showButton.onclick = () => showDeviationHotspotsOnMap(trail, hotspots);
+        resultElement.appendChild(showButton);
+    } catch (error) {
+        console.error('[TrackComparison] Error comparing tracks:', error);
+        resultElement.innerHTML = '<p>Error comparing tracks. See console for details.</p>';
+    }
+}
+
+function showDeviationHotspotsOnMap(trail, hotspots) {
+    const mapRef = window.leafletMap || map;
+    if (!mapRef) return;
+    clearTrackComparison();
+
+    trackComparisonLayer = L.layerGroup().addTo(mapRef);
+    L.geoJSON(trail.layer.toGeoJSON(), {
+        style: { color: '#1565C0', weight: 4, opacity: 0.6 },
+        filter: feature => feature.geometry && feature.geometry.type !== 'Point'
+    }).addTo(trackComparisonLayer);
+    hotspots.forEach(spot => {
+        L.circleMarker([spot.lat, spot.lon], {
+            radius: 6 + Math.min(spot.tracks.length, 6) * 3,
+            color: spot.tracks.length > 1 ? '#C62828' : '#EF6C00',
+            fillOpacity: 0.4,
+            weight: 2
+        }).bindPopup(`<b>${spot.tracks.length} hike${spot.tracks.length === 1 ? '' : 's'} left the trail here</b><br>${spot.tracks.map(escapeXml).join('<br>')}`)
+            .addTo(trackComparisonLayer);
+    });
+
+    if (typeof switchSection === 'function') switchSection('map');
+    mapRef.fitBounds(trail.layer.getBounds());
+}
+
+// Toggle the comparison panel under a track in the My Tracks list
+function toggleTrackComparison(track, item) {
+    const existing = item.querySelector('.track-comparison-detail');
+    if (existing) {
+        existing.remove();
+        return;
+    }
+
+    const selectedTrail = document.getElementById('trail-select');
+    const defaultTrail = selectedTrail && getTrailById(selectedTrail.value) ? selectedTrail.value : null;
+
+    const detail = document.createElement('div');
+    detail.className = 'track-comparison-detail';
+    detail.innerHTML = `
+        <label>Compare with
+            <select class="track-comparison-trail">
+                ${getAllTrails().map(trail => `<option value="${trail.id}">${escapeXml(trail.name)}</option>`).join('')}
+            </select>
+        </label>
+        <button class="track-comparison-run">Compare</button>
+        <button class="track-comparison-all" title="Find places where several recorded hikes left this trail">All Tracks</button>
+        <div class="track-comparison-result"></div>
+    `;
+    const trailSelect = detail.querySelector('.track-comparison-trail');
+    if (defaultTrail) trailSelect.value = defaultTrail;
+    const resultElement = detail.querySelector('.track-comparison-result');
+    detail.querySelector('.track-comparison-run').onclick = () => compareRecordedTrack(track, trailSelect.value, resultElement);
+    detail.querySelector('.track-comparison-all').onclick = () => compareAllTracksWithTrail(trailSelect.value, resultElement);
+    item.appendChild(detail);
+}
+
+console.log('[TrackComparison] track_comparison.js loaded.');
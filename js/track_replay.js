@@ -0,0 +1,272 @@
+// js/track_replay.js
+// Replay of a recorded hike: a dot walks the recorded line with play/pause, a speed multiplier and
+// a time scrubber, and the line is coloured by pace so guides can show where the group slowed down.
+// Pauses in the recording (between segments) are skipped.
+
+const TRACK_REPLAY_SETTINGS = {
+    speeds: [10, 30, 60, 120, 300], // Replay speed multipliers offered in the panel
+    defaultSpeed: 60,
+    paceWindow: 2, // Points either side used to smooth the pace of each stretch
+    // Pace bands in minutes per km, fastest first; slower than the last band counts as stopped
+    paceBands: [
+        { maxPace: 12, color: '#2E7D32', label: 'Under 12 min/km' },
+        { maxPace: 20, color: '#F9A825', label: '12–20 min/km' },
+        { maxPace: 40, color: '#EF6C00', label: '20–40 min/km' }
+    ],
+    stoppedColor: '#C62828'
+};
+
+let trackReplayState = {
+    track: null,
+    points: [], // [{ lat, lon, clock, time, distance }]; time counts recording time only
+    layer: null,
+    marker: null,
+    currentTime: 0,
+    speed: TRACK_REPLAY_SETTINGS.defaultSpeed,
+    playing: false,
+    frameId: null,
+    lastFrame: null
+};
+
+function buildReplayPoints(track) {
+    const points = [];
+    let time = 0;
+    let distance = 0;
+    track.segments.forEach(segment => {
+        segment.forEach((point, index) => {
+            if (index > 0) {
+                const previous = segment[index - 1];
+                time += Math.max(0, point.time - previous.time);
+                distance += haversineDistance(previous.lat, previous.lon, point.lat, point.lon);
+            }
+            points.push({ lat: point.lat, lon: point.lon, clock: point.time, time: time, distance: distance, segmentStart: index === 0 });
+        });
+    });
+    return points;
+}
+
+function getPaceColor(minutesPerKm) {
+    const band = TRACK_REPLAY_SETTINGS.paceBands.find(b => minutesPerKm <= b.maxPace);
+    return band ? band.color : TRACK_REPLAY_SETTINGS.stoppedColor;
+}
+
+// Stretches between fixes are coloured by the pace around them; consecutive stretches of the same
+// colour share one polyline, so a long day stays a handful of paths rather than thousands
+function buildPaceColouredLayer(points) {
+    const layer = L.layerGroup();
+    const smoothing = TRACK_REPLAY_SETTINGS.paceWindow;
+    let run = null; // { color, latLngs } being collected
+
+    const flushRun = () => {
+        if (run) {
+            L.polyline(run.latLngs, {
+                color: run.color,
+                weight: 5,
+                opacity: 0.9,
+                interactive: false
+            }).addTo(layer);
+        }
+        run = null;
+    };
+
+    for (let i = 1; i < points.length; i++) {
+        if (points[i].segmentStart) { // No line across a pause
+            flushRun();
+            continue;
+        }
+        let from = i - 1;
+        let to = i;
+        while (from > 0 && i - 1 - from < smoothing && !points[from].segmentStart) from--;
+        while (to < points.length - 1 && to - i < smoothing && !points[to + 1].segmentStart) to++;
+
+        const distance = points[to].distance - points[from].distance;
+        const elapsed = points[to].time - points[from].time;
+        const color = getPaceColor(distance > 0 ? (elapsed / 60000) / (distance / 1000) : Infinity);
+        if (!run || run.color !== color) {
+            flushRun();
+            run = { color: color, latLngs: [[points[i - 1].lat, points[i - 1].lon]] };
+        }
+        run.latLngs.push([points[i].lat, points[i].lon]);
+    }
+    flushRun();
+    return layer;
+}
+
+// Interpolated position at a recording time
+function getReplayPosition(time) {
+    const points = trackReplayState.points;
+    let low = 0;
+    let high = points.length - 1;
+    while (low < high) {
+        const mid = Math.floor((low + high + 1) / 2);
+        if (points[mid].time <= time) low = mid;
+        else high = mid - 1;
+    }
+    const previous = points[low];
+    const next = points[Math.min(low + 1, points.length - 1)];
+    const span = next.time - previous.time;
+    const fraction = span > 0 ? Math.min(1, (time - previous.time) / span) : 0;
+    return {
+        lat: previous.lat + (next.lat - previous.lat) * fraction,
+        lon: previous.lon + (next.lon - previous.lon) * fraction,
+        clock: previous.clock + (next.clock - previous.clock) * fraction,
+        distance: previous.distance + (next.distance - previous.distance) * fraction
+    };
+}
+
+function startTrackReplay(track) {
+    const mapRef = window.leafletMap || map;
+    if (!mapRef) {
+        console.error('[TrackReplay] Map not available');
+        return;
+    }
+    const points = buildReplayPoints(track);
+    if (points.length < 2 || points[points.length - 1].time <= 0) {
+        alert('This track has too few timed points to replay.');
+        return;
+    }
+
+    stopTrackReplay();
+    if (typeof switchSection === 'function') switchSection('map');
+
+    trackReplayState.track = track;
+    trackReplayState.points = points;
+    trackReplayState.currentTime = 0;
+    trackReplayState.layer = buildPaceColouredLayer(points).addTo(mapRef);
+    trackReplayState.marker = L.circleMarker([points[0].lat, points[0].lon], {
+        radius: 8,
+        fillColor: '#1565C0',
+        color: '#ffffff',
+        weight: 3,
+        fillOpacity: 1
+    }).addTo(mapRef);
+    mapRef.fitBounds(L.latLngBounds(points.map(point => [point.lat, point.lon])), { padding: [20, 20] });
+
+    renderTrackReplayPanel();
+    updateTrackReplayPosition();
+    console.log(`[TrackReplay] Replaying "${track.name}" (${points.length} points)`);
+}
+
+function stopTrackReplay() {
+    const mapRef = window.leafletMap || map;
+    pauseTrackReplay();
+    if (mapRef) {
+        if (trackReplayState.layer) mapRef.removeLayer(trackReplayState.layer);
+        if (trackReplayState.marker) mapRef.removeLayer(trackReplayState.marker);
+    }
+    trackReplayState.layer = null;
+    trackReplayState.marker = null;
+    trackReplayState.track = null;
+    trackReplayState.points = [];
+
+    const panel = document.getElementById('track-replay-panel');
+    if (panel) {
+        panel.style.display = 'none';
+        panel.innerHTML = '';
+    }
+}
+
+function playTrackReplay() {
+    if (!trackReplayState.track || trackReplayState.playing) return;
+    const endTime = trackReplayState.points[trackReplayState.points.length - 1].time;
+    if (trackReplayState.currentTime >= endTime) trackReplayState.currentTime = 0;
+
+    trackReplayState.playing = true;
+    trackReplayState.lastFrame = null;
+    trackReplayState.frameId = requestAnimationFrame(advanceTrackReplay);
+    updateTrackReplayControls();
+}
+
+function pauseTrackReplay() {
+    trackReplayState.playing = false;
+    if (trackReplayState.frameId !== null) cancelAnimationFrame(trackReplayState.frameId);
+    trackReplayState.frameId = null;
+    updateTrackReplayControls();
+}
+
+function advanceTrackReplay(timestamp) {
+    if (!trackReplayState.playing) return;
+    if (trackReplayState.lastFrame !== null) {
+        trackReplayState.currentTime += (timestamp - trackReplayState.lastFrame) * trackReplayState.speed;
+    }
+    trackReplayState.lastFrame = timestamp;
+
+    const endTime = trackReplayState.points[trackReplayState.points.length - 1].time;
+    if (trackReplayState.currentTime >= endTime) {
+        trackReplayState.currentTime = endTime;
+        updateTrackReplayPosition();
+        pauseTrackReplay();
+        return;
+    }
+    updateTrackReplayPosition();
+    trackReplayState.frameId = requestAnimationFrame(advanceTrackReplay);
+}
+
+function seekTrackReplay(fraction) {
+    const endTime = trackReplayState.points[trackReplayState.points.length - 1].time;
+    trackReplayState.currentTime = fraction * endTime;
+    trackReplayState.lastFrame = null;
+    updateTrackReplayPosition();
+}
+
+function updateTrackReplayPosition() {
+    if (!trackReplayState.track) return;
+    const position = getReplayPosition(trackReplayState.currentTime);
+    trackReplayState.marker.setLatLng([position.lat, position.lon]);
+
+    const endTime = trackReplayState.points[trackReplayState.points.length - 1].time;
+    const scrubber = document.getElementById('track-replay-scrubber');
+    if (scrubber) scrubber.value = Math.round(trackReplayState.currentTime / endTime * 1000);
+    const readout = document.getElementById('track-replay-readout');
+    if (readout) {
+        const clock = new Date(position.clock).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
+        readout.textContent = `${clock} · ${formatDistance(position.distance)} · ${formatDuration(trackReplayState.currentTime)} walked`;
+    }
+}
+
+function updateTrackReplayControls() {
+    const playButton = document.getElementById('track-replay-play');
+    if (playButton) playButton.textContent = trackReplayState.playing ? '⏸ Pause' : '▶ Play';
+}
+
+function renderTrackReplayPanel() {
+    const panel = document.getElementById('track-replay-panel');
+    if (!panel) return;
+
+    const legend = TRACK_REPLAY_SETTINGS.paceBands
+        .map(band => `<span><i style="background: ${band.color}"></i>${band.label}</span>`)
+        .concat(`<span><i style="background: ${TRACK_REPLAY_SETTINGS.stoppedColor}"></i>Slower / stopped</span>`)
+        .join('');
+    const speedOptions = TRACK_REPLAY_SETTINGS.speeds
+        .map(speed => `<option value="${speed}">${speed}×</option>`)
+        .join('');
+
+    panel.innerHTML = `
+        <div class="track-replay-title"><strong>Replay:</strong> ${escapeXml(trackReplayState.track.name)}</div>
+        <div class="track-replay-controls">
+            <button id="track-replay-play" class="btn-compact">▶ Play</button>
+            <select id="track-replay-speed" title="Replay speed">${speedOptions}</select>
+            <input id="track-replay-scrubber" type="range" min="0" max="1000" value="0" title="Time">
+            <button id="track-replay-close" class="btn-compact" title="Close replay">✕</button>
+        </div>
+        <div id="track-replay-readout" class="track-replay-readout"></div>
+        <div class="track-replay-legend">${legend}</div>
+    `;
+    panel.style.display = 'block';
+
+    const speedSelect = document.getElementById('track-replay-speed');
+    speedSelect.value = trackReplayState.speed;
+    speedSelect.addEventListener('change', event => {
+        trackReplayState.speed = Number(event.target.value);
+    });
+    document.getElementById('track-replay-play').addEventListener('click', () => {
+        if (trackReplayState.playing) pauseTrackReplay();
+        else playTrackReplay();
+    });
+    document.getElementById('track-replay-scrubber').addEventListener('input', event => {
+        seekTrackReplay(Number(event.target.value) / 1000);
+    });
+    document.getElementById('track-replay-close').addEventListener('click', stopTrackReplay);
+}
+
+console.log('[TrackReplay] track_replay.js loaded.');
@@ -0,0 +1,134 @@
+// js/trail_pois.js
+// Points of interest from the official trail KMLs and from files uploaded in My KML Files (water
+// points, camps, waterfalls, ...), shown as categorized icons that can be toggled per category from
+// the map's layer control.
+
+// Checked in order; the first matching pattern wins ("Devils Knuckels Waterfall" is a waterfall, not water)
+const POI_CATEGORIES = {
+    waterfall: { label: 'Waterfalls', icon: '🌊', color: '#0288D1', pattern: /waterfall|falls/i },
+    water: { label: 'Water Points', icon: '💧', color: '#1976D2', pattern: /water|spring/i },
+    camp: { label: 'Camps & Huts', icon: '⛺', color: '#2E7D32', pattern: /camp|houthuis|hut|cabin/i },
+    parking: { label: 'Parking & Gates', icon: '🅿️', color: '#616161', pattern: /parking|boomgate|gate/i },
+    viewpoint: { label: 'Viewpoints & Landmarks', icon: '🔭', color: '#6D4C41', pattern: /view|lookout|knuckel|knuckle|lake|dam|staircase|grave|stonehenge/i },
+    other: { label: 'Other Points', icon: '📍', color: '#FF9800', pattern: null }
+};
+
+const HIDDEN_POI_CATEGORIES_KEY = 'hiddenPoiCategories';
+
+let poiCategoryLayers = null; // { category: L.layerGroup }
+let poiLayerControl = null;
+
+function categorizePOI(name) {
+    const categories = Object.keys(POI_CATEGORIES);
+    for (const category of categories) {
+        const pattern = POI_CATEGORIES[category].pattern;
+        if (pattern && pattern.test(name || '')) return category;
+    }
+    return 'other';
+}
+
+// Only named Point placemarks are POIs; the unnamed points in the KML "Points" folders are raw GPS fixes
+function isNamedPointFeature(feature) {
+    return feature && feature.geometry && feature.geometry.type === 'Point' &&
+        feature.properties && typeof feature.properties.name === 'string' && feature.properties.name.trim() !== '';
+}
+
+function createPoiMarker(feature, latlng) {
+    const name = feature.properties.name.trim();
+    const category = categorizePOI(name);
+    const config = POI_CATEGORIES[category];
+
+    const icon = L.divIcon({
+        html: `<span style="background: ${config.color};">${config.icon}</span>`,
+        className: `trail-poi-icon trail-poi-${category}`,
+        iconSize: [28, 28],
+        iconAnchor: [14, 14],
+        popupAnchor: [0, -14]
+    });
+
+    const ele = feature.geometry.coordinates[2];
+    const lat = latlng.lat;
+    const lon = latlng.lng;
+    // Built when opened, so it follows the current coordinate format
+    const popup = () => {
+        let html = `<b>${escapeXml(name)}</b><br>${config.icon} ${config.label}`;
+        if (ele) html += `<br>Elevation: ${Math.round(ele)} m`;
+        html += `<br><small>${formatCoordinates(lat, lon)}</small>`;
+        html += `<br><button class="btn-compact" data-name="${escapeXml(name)}" onclick="navigateToPoint(${lat}, ${lon}, this.dataset.name)">Go to</button>`;
+        return html;
+    };
+
+    const marker = L.marker(latlng, { icon: icon, title: name }).bindPopup(popup);
+    marker.poiCategory = category;
+    marker.poiName = name;
+    return marker;
+}
+
+function getHiddenPoiCategories() {
+    try {
+        return JSON.parse(localStorage.getItem(HIDDEN_POI_CATEGORIES_KEY) || '[]');
+    } catch (error) {
+        return [];
+    }
+}
+
+function setPoiCategoryHidden(category, hidden) {
+    const hiddenCategories = getHiddenPoiCategories().filter(c => c !== category);
+    if (hidden) hiddenCategories.push(category);
+    localStorage.setItem(HIDDEN_POI_CATEGORIES_KEY, JSON.stringify(hiddenCategories));
+}
+
+// Create the per-category layers and the toggle control on first use
+function ensurePoiLayers(mapRef) {
+    if (poiCategoryLayers) return;
+
+    poiCategoryLayers = {};
+    const overlays = {};
+    const hiddenCategories = getHiddenPoiCategories();
+
+    Object.keys(POI_CATEGORIES).forEach(category => {
+        const config = POI_CATEGORIES[category];
+        const layer = L.layerGroup();
+        layer.poiCategory = category;
+        poiCategoryLayers[category] = layer;
+        overlays[`${config.icon} ${config.label}`] = layer;
+        if (!hiddenCategories.includes(category)) layer.addTo(mapRef);
+    });
+
+    poiLayerControl = L.control.layers(null, overlays, { collapsed: true, position: 'topright' }).addTo(mapRef);
+
+    mapRef.on('overlayadd', event => {
+        if (event.layer.poiCategory) setPoiCategoryHidden(event.layer.poiCategory, false);
+    });
+    mapRef.on('overlayremove', event => {
+        if (event.layer.poiCategory) setPoiCategoryHidden(event.layer.poiCategory, true);
+    });
+    console.log('[TrailPOIs] POI category layers and toggle control created.');
+}
+
+// Replace the displayed POIs with the named points of a trail or uploaded file
+function showTrailPOIs(features) {
+    const mapRef = window.leafletMap || map;
+    if (!mapRef) {
+        console.error('[TrailPOIs] Map not available');
+        return;
+    }
+    ensurePoiLayers(mapRef);
+    clearTrailPOIs();
+
+    let count = 0;
+    (features || []).filter(isNamedPointFeature).forEach(feature => {
+        const coordinates = feature.geometry.coordinates;
+        const marker = createPoiMarker(feature, L.latLng(coordinates[1], coordinates[0]));
+        marker.addTo(poiCategoryLayers[marker.poiCategory]);
+        count++;
+    });
+    console.log(`[TrailPOIs] Displaying ${count} points of interest.`);
+}
+
+function clearTrailPOIs() {
+    if (!poiCategoryLayers) return;
+    Object.values(poiCategoryLayers).forEach(layer => layer.clearLayers());
+}
+
+console.log('[TrailPOIs] trail_pois.js loaded.');
@@ -0,0 +1,159 @@
+// js/trail_progress.js
+// Progress along the displayed trail: snaps each live position to the trail line and shows the
+// distance done, the distance left to the end of the day (overnight camp) and an ETA from recent pace.
+
+const TRAIL_PROGRESS_SETTINGS = {
+    maxSnapDistance: 200, // Further than this from the trail, progress is not updated (metres)
+    paceWindow: 15 * 60 * 1000, // Pace is measured over this much recent history (ms)
+    minPaceSamples: 3,
+    defaultSpeed: 3 / 3.6, // 3 km/h hiking speed until a pace has been measured (m/s)
+    campSearchRadius: 500 // A named point this close to a stage end names the destination (metres)
+};
+
+let trailProgressState = {
+    trailLayer: null, // Layer the cached stages belong to
+    stages: [], // [{ name, coordinates, cumulative, length, offset, destination }]
+    isMultiStage: false,
+    history: [] // [{ time, along }] recent positions as distance along the whole trail
+};
+
+// A full multi-day KML holds one line per day ("Day 1 of 3 - 10.9 km", ...) in hiking order
+function buildTrailStages(lines, trailId) {
+    const isMultiStage = lines.length > 1 && lines.every(line => /day\s*\d+\s*of\s*\d+/i.test(line.name));
+    const pois = (typeof trailPoiFeatures !== 'undefined' && trailPoiFeatures[trailId]) || [];
+    let offset = 0;
+
+    const stages = lines.map(line => {
+        const cumulative = cumulativeDistances(line.coordinates);
+        const length = cumulative[cumulative.length - 1];
+        const end = line.coordinates[line.coordinates.length - 1];
+        const stage = {
+            name: line.name,
+            coordinates: line.coordinates,
+            cumulative: cumulative,
+            length: length,
+            offset: isMultiStage ? offset : 0,
+            destination: findStageDestination(end, pois)
+        };
+        offset += length;
+        return stage;
+    });
+    return { stages: stages, isMultiStage: isMultiStage };
+}
+
+function findStageDestination(end, pois) {
+    let best = null;
+    pois.forEach(feature => {
+        const coordinates = feature.geometry.coordinates;
+        const distance = haversineDistance(end[1], end[0], coordinates[1], coordinates[0]);
+        if (distance <= TRAIL_PROGRESS_SETTINGS.campSearchRadius && (!best || distance < best.distance)) {
+            best = { name: feature.properties.name.trim(), distance: distance };
+        }
+    });
+    return best ? best.name : null;
+}
+
+function getTrailProgressStages() {
+    if (typeof currentTrailLayer === 'undefined' || !currentTrailLayer) return null;
+    if (trailProgressState.trailLayer !== currentTrailLayer) {
+        const trailSelect = document.getElementById('trail-select');
+        const built = buildTrailStages(getCurrentTrailLines(), trailSelect ? trailSelect.value : null);
+        trailProgressState.trailLayer = currentTrailLayer;
+        trailProgressState.stages = built.stages;
+        trailProgressState.isMultiStage = built.isMultiStage;
+        trailProgressState.history = [];
+    }
+    return trailProgressState.stages;
+}
+
+// Called with every live tracking position
+function updateTrailProgress(lat, lon, time) {
+    const stages = getTrailProgressStages();
+    if (!stages || stages.length === 0) {
+        hideTrailProgress();
+        return null;
+    }
+
+    const nearest = nearestPointOnLines(lat, lon, stages);
+    if (!nearest || nearest.distance > TRAIL_PROGRESS_SETTINGS.maxSnapDistance) {
+        renderTrailProgress(null);
+        return null;
+    }
+
+    const stage = stages[nearest.lineIndex];
+    const alongStage = distanceAlongLine(stage.cumulative, nearest);
+    const totalLength = trailProgressState.isMultiStage
+        ? stages.reduce((total, s) => total + s.length, 0)
+        : stage.length;
+    const along = stage.offset + alongStage;
+
+    recordProgressSample(time, along);
+    const speed = getRecentSpeed();
+
+    const progress = {
+        done: along,
+        remaining: Math.max(0, totalLength - along),
+        stageRemaining: Math.max(0, stage.length - alongStage),
+        stageName: trailProgressState.isMultiStage ? stage.name : null,
+        destination: stage.destination,
+        isFinalStage: !trailProgressState.isMultiStage || nearest.lineIndex === stages.length - 1,
+        speed: speed || TRAIL_PROGRESS_SETTINGS.defaultSpeed,
+        isMeasuredPace: !!speed,
+        time: time
+    };
+    renderTrailProgress(progress);
+    return progress;
+}
+
+function recordProgressSample(time, along) {
+    const history = trailProgressState.history;
+    history.push({ time: time, along: along });
+    while (history.length > 0 && time - history[0].time > TRAIL_PROGRESS_SETTINGS.paceWindow) {
+        history.shift();
+    }
+}
+
+// Average speed along the trail over the recent window; null until enough forward progress exists
+function getRecentSpeed() {
+    const history = trailProgressState.history;
+    if (history.length < TRAIL_PROGRESS_SETTINGS.minPaceSamples) return null;
+    const first = history[0];
+    const last = history[history.length - 1];
+    const elapsed = (last.time - first.time) / 1000;
+    const progressed = last.along - first.along;
+    if (elapsed <= 0 || progressed <= 0) return null;
+    return progressed / elapsed;
+}
+
+function renderTrailProgress(progress) {
+    const panel = document.getElementById('trail-progress-panel');
+    if (!panel) return;
+    panel.style.display = 'block';
+
+    if (!progress) {
+        panel.innerHTML = '<span class="trail-progress-muted">Trail progress: move closer to the trail to measure progress.</span>';
+        return;
+    }
+
+    const stageTarget = progress.destination || (progress.isFinalStage ? 'the end' : 'the end of the day');
+    const etaTarget = progress.isFinalStage ? progress.remaining : progress.stageRemaining;
+    const etaMs = (etaTarget / progress.speed) * 1000;
+    const eta = new Date(progress.time + etaMs);
+    const etaLabel = `${eta.toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' })} (${formatDuration(etaMs)}${progress.isMeasuredPace ? '' : ', est.'})`;
+
+    let html = `<span><strong>Done:</strong> ${formatDistance(progress.done)}</span>`;
+    if (progress.stageName && !progress.isFinalStage) {
+        html += `<span><strong>To ${escapeXml(stageTarget)}:</strong> ${formatDistance(progress.stageRemaining)}</span>`;
+        html += `<span><strong>Trail left:</strong> ${formatDistance(progress.remaining)}</span>`;
+    } else {
+        html += `<span><strong>Left to ${escapeXml(stageTarget)}:</strong> ${formatDistance(progress.remaining)}</span>`;
+    }
+    html += `<span><strong>ETA:</strong> ${etaLabel}</span>`;
+    panel.innerHTML = html;
+}
+
+function hideTrailProgress() {
+    const panel = document.getElementById('trail-progress-panel');
+    if (panel) panel.style.display = 'none';
+    trailProgressState.history = [];
+}
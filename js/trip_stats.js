@@ -0,0 +1,267 @@
+// js/trip_stats.js
+// Statistics for recorded hikes (recorded_tracks): per-hike distance, moving and stopped time,
+// pace, ascent/descent and kilometre splits, plus yearly totals and a calendar of hike days
+// at the top of the My Tracks section.
+
+const TRIP_STATS_SETTINGS = {
+    splitDistance: 1000, // metres
+    maxPaceWindow: 500 // Fastest pace is measured over at least this distance, so one jumpy fix can't set it (metres)
+};
+
+let tripStatsState = {
+    tracks: [],
+    calendarYear: null
+};
+
+// "12:30 /km"
+function formatPace(msPerKm) {
+    if (typeof msPerKm !== 'number' || !isFinite(msPerKm) || msPerKm <= 0) return 'N/A';
+    const totalSeconds = Math.round(msPerKm / 1000);
+    const minutes = Math.floor(totalSeconds / 60);
+    const seconds = totalSeconds % 60;
+    return `${minutes}:${seconds.toString().padStart(2, '0')} /km`;
+}
+
+// Cumulative distance and recording time of every point. Time between segments (pauses)
+// is left out, so splits and pace only measure time spent recording.
+function getTrackProfile(track) {
+    const profile = [];
+    let distance = 0;
+    let time = 0;
+    track.segments.forEach(segment => {
+        segment.forEach((point, index) => {
+            if (index > 0) {
+                const previous = segment[index - 1];
+                distance += haversineDistance(previous.lat, previous.lon, point.lat, point.lon);
+                time += Math.max(0, point.time - previous.time);
+            }
+            profile.push({ distance: distance, time: time, ele: point.ele });
+        });
+    });
+    return profile;
+}
+
+// [{ km, distance, time }], the last split shorter when the hike doesn't end on a full kilometre
+function computeSplits(profile) {
+    const splits = [];
+    const size = TRIP_STATS_SETTINGS.splitDistance;
+    let splitStartTime = 0;
+    let next = size;
+
+    for (let i = 1; i < profile.length; i++) {
+        const previous = profile[i - 1];
+        const current = profile[i];
+        while (current.distance >= next) {
+            const fraction = (next - previous.distance) / (current.distance - previous.distance);
+            const crossTime = previous.time + fraction * (current.time - previous.time);
+            splits.push({ km: splits.length + 1, distance: size, time: crossTime - splitStartTime });
+            splitStartTime = crossTime;
+            next += size;
+        }
+    }
+
+    const last = profile[profile.length - 1];
+    const remainder = last ? last.distance - (next - size) : 0;
+    if (remainder >= 50) {
+        splits.push({ km: splits.length + 1, distance: remainder, time: last.time - splitStartTime });
+    }
+    return splits;
+}
+
+// Fastest pace sustained over TRIP_STATS_SETTINGS.maxPaceWindow (ms per km)
+function computeMaxPace(profile) {
+    let best = null;
+    let start = 0;
+    for (let end = 1; end < profile.length; end++) {
+        while (start + 1 < end && profile[end].distance - profile[start + 1].distance >= TRIP_STATS_SETTINGS.maxPaceWindow) {
+            start++;
+        }
+        const run = profile[end].distance - profile[start].distance;
+        const time = profile[end].time - profile[start].time;
+        if (run >= TRIP_STATS_SETTINGS.maxPaceWindow && time > 0) {
+            const pace = time / run * 1000;
+            if (best === null || pace < best) best = pace;
+        }
+    }
+    return best;
+}
+
+function computeTripStats(track) {
+    const profile = getTrackProfile(track);
+    const distance = profile.length > 0 ? profile[profile.length - 1].distance : 0;
+    const movingTime = track.movingTime || 0;
+
+    let ascent = null;
+    let descent = null;
+    const elevationSamples = profile.filter(sample => typeof sample.ele === 'number');
+    if (elevationSamples.length >= 2 && typeof computeElevationStats === 'function') {
+        const elevation = computeElevationStats(elevationSamples);
+        ascent = elevation.ascent;
+        descent = elevation.descent;
+    }
+
+    return {
+        distance: distance,
+        duration: track.duration,
+        movingTime: movingTime,
+        stoppedTime: Math.max(0, track.duration - movingTime),
+        averagePace: distance > 0 && movingTime > 0 ? movingTime / distance * 1000 : null,
+        maxPace: computeMaxPace(profile),
+        ascent: ascent,
+        descent: descent,
+        splits: computeSplits(profile)
+    };
+}
+
+// { year: { hikes, distance, movingTime, ascent } } from computed stats
+function computeYearlyTotals(entries) {
+    const totals = {};
+    entries.forEach(({ track, stats }) => {
+        const year = new Date(track.startTime).getFullYear();
+        const total = totals[year] || (totals[year] = { hikes: 0, distance: 0, movingTime: 0, ascent: 0 });
+        total.hikes++;
+        total.distance += stats.distance;
+        total.movingTime += stats.movingTime;
+        total.ascent += stats.ascent || 0;
+    });
+    return totals;
+}
+
+function renderTrackStats(stats) {
+    const elevation = stats.ascent === null ? 'no elevation recorded' :
+        `↗ ${Math.round(stats.ascent)} m · ↘ ${Math.round(stats.descent)} m`;
+    const splitRows = stats.splits.map(split => `
+        <tr>
+            <td>${split.distance < TRIP_STATS_SETTINGS.splitDistance ? `${split.km} (${formatDistance(split.distance)})` : split.km}</td>
+            <td>${formatDuration(split.time)}</td>
+            <td>${formatPace(split.time / split.distance * 1000)}</td>
+        </tr>`).join('');
+
+    return `
+        <div class="trip-stats-grid">
+            <span><strong>${formatDistance(stats.distance)}</strong> distance</span>
+            <span><strong>${formatDuration(stats.movingTime)}</strong> moving</span>
+            <span><strong>${formatDuration(stats.stoppedTime)}</strong> stopped</span>
+            <span><strong>${formatPace(stats.averagePace)}</strong> average pace</span>
+            <span><strong>${formatPace(stats.maxPace)}</strong> fastest pace</span>
+            <span><strong>${elevation}</strong></span>
+        </div>
+        ${splitRows ? `<table class="trip-stats-splits">
+            <thead><tr><th>km</th><th>Time</th><th>Pace</th></tr></thead>
+            <tbody>${splitRows}</tbody>
+        </table>` : ''}
+    `;
+}
+
+// Toggle the statistics panel under a track in the My Tracks list
+function toggleTrackStats(track, item) {
+    const existing = item.querySelector('.trip-stats-detail');
+    if (existing) {
+        existing.remove();
+        return;
+    }
+    const detail = document.createElement('div');
+    detail.className = 'trip-stats-detail';
+    detail.innerHTML = renderTrackStats(computeTripStats(track));
+    item.appendChild(detail);
+}
+
+// Called by loadAndDisplayRecordedTracks with the tracks it listed
+function displayTripStatsSummary(tracks) {
+    const container = document.getElementById('trip-stats-summary');
+    if (!container) return;
+    tripStatsState.tracks = tracks;
+
+    if (tracks.length === 0) {
+        container.innerHTML = '';
+        return;
+    }
+
+    const entries = tracks.map(track => ({ track: track, stats: computeTripStats(track) }));
+    const totals = computeYearlyTotals(entries);
+    const years = Object.keys(totals).sort((a, b) => b - a);
+    if (!years.includes(String(tripStatsState.calendarYear))) {
+        tripStatsState.calendarYear = Number(years[0]);
+    }
+
+    const all = entries.reduce((sum, { stats }) => {
+        sum.distance += stats.distance;
+        sum.movingTime += stats.movingTime;
+        sum.ascent += stats.ascent || 0;
+        return sum;
+    }, { distance: 0, movingTime: 0, ascent: 0 });
+    const longest = entries.reduce((best, entry) => !best || entry.stats.distance > best.stats.distance ? entry : best, null);
+
+    const yearRows = years.map(year => `
+        <tr>
+            <td>${year}</td>
+            <td>${totals[year].hikes}</td>
+            <td>${formatDistance(totals[year].distance)}</td>
+            <td>${formatDuration(totals[year].movingTime)}</td>
+            <td>${Math.round(totals[year].ascent)} m</td>
+        </tr>`).join('');
+
+    container.innerHTML = `
+        <h3>Hiking Statistics</h3>
+        <div class="trip-stats-grid">
+            <span><strong>${tracks.length}</strong> hike${tracks.length === 1 ? '' : 's'}</span>
+            <span><strong>${formatDistance(all.distance)}</strong> in total</span>
+            <span><strong>${formatDuration(all.movingTime)}</strong> moving</span>
+            <span><strong>${Math.round(all.ascent)} m</strong> climbed</span>
+            <span>Longest: <strong>${escapeXml(longest.track.name)}</strong> (${formatDistance(longest.stats.distance)})</span>
+        </div>
+        <table class="trip-stats-years">
+            <thead><tr><th>Year</th><th>Hikes</th><th>Distance</th><th>Moving</th><th>Climbed</th></tr></thead>
+            <tbody>${yearRows}</tbody>
+        </table>
+        <div class="trip-stats-calendar-header">
+            <label for="trip-stats-year">Hike calendar</label>
+            <select id="trip-stats-year">${years.map(year => `<option value="${year}">${year}</option>`).join('')}</select>
+        </div>
+        <div id="trip-stats-calendar" class="trip-stats-calendar"></div>
+    `;
+
+    const yearSelect = container.querySelector('#trip-stats-year');
+    yearSelect.value = tripStatsState.calendarYear;
+    yearSelect.addEventListener('change', event => {
+        tripStatsState.calendarYear = Number(event.target.value);
+        renderHikeCalendar(tripStatsState.tracks, tripStatsState.calendarYear);
+    });
+    renderHikeCalendar(tracks, tripStatsState.calendarYear);
+}
+
+// Twelve month grids with the days that have a recorded hike highlighted
+function renderHikeCalendar(tracks, year) {
+    const calendar = document.getElementById('trip-stats-calendar');
+    if (!calendar) return;
+
+    const hikesByDay = {};
+    tracks.forEach(track => {
+        const start = new Date(track.startTime);
+        if (start.getFullYear() !== year) return;
+        const key = `${start.getMonth()}-${start.getDate()}`;
+        (hikesByDay[key] = hikesByDay[key] || []).push(track.name);
+    });
+
+    let html = '';
+    for (let month = 0; month < 12; month++) {
+        const first = new Date(year, month, 1);
+        const daysInMonth = new Date(year, month + 1, 0).getDate();
+        const offset = (first.getDay() + 6) % 7; // Weeks start on Monday
+        let cells = '<span></span>'.repeat(offset);
+        for (let day = 1; day <= daysInMonth; day++) {
+            const hikes = hikesByDay[`${month}-${day}`];
+            cells += hikes ?
+                `<span class="has-hike" title="${escapeXml(hikes.join(', '))}">${day}</span>` :
+                `<span>${day}</span>`;
+        }
+        html += `
+            <div class="trip-stats-month">
+                <div class="trip-stats-month-name">${first.toLocaleDateString(undefined, { month: 'short' })}</div>
+                <div class="trip-stats-days">${cells}</div>
+            </div>`;
+    }
+    calendar.innerHTML = html;
+}
+
+console.log('[TripStats] trip_stats.js loaded.');
@@ -0,0 +1,218 @@
+// js/waypoint_editor.js
+// Waypoint sheet: name, category, notes and an optional camera photo for new and existing
+// waypoints. Photos are shrunk to WAYPOINT_PHOTO_SETTINGS.maxSize and stored as Blobs in the
+// waypoints store; categories give each marker its own colour and symbol.
+
+const WAYPOINT_CATEGORIES = {
+    general: { label: 'Waypoint', symbol: '📍', color: '#0066ff', gpxSymbol: 'Flag, Blue' },
+    water: { label: 'Water', symbol: '💧', color: '#0288D1', gpxSymbol: 'Drinking Water' },
+    hazard: { label: 'Hazard', symbol: '⚠️', color: '#C62828', gpxSymbol: 'Danger Area' },
+    viewpoint: { label: 'Viewpoint', symbol: '🏞️', color: '#6A1B9A', gpxSymbol: 'Scenic Area' },
+    campsite: { label: 'Campsite', symbol: '⛺', color: '#2E7D32', gpxSymbol: 'Campground' },
+    wildlife: { label: 'Wildlife sighting', symbol: '🦌', color: '#EF6C00', gpxSymbol: 'Animal Tracks' }
+};
+
+const WAYPOINT_PHOTO_SETTINGS = {
+    maxSize: 1600, // Longest side in pixels
+    quality: 0.8
+};
+
+let waypointEditorState = {
+    waypoint: null, // Record being edited, or { lat, lon } for a new one
+    photo: undefined, // Blob, null (removed) or undefined (unchanged)
+    previewUrl: null,
+    resolve: null
+};
+
+function getWaypointCategory(waypoint) {
+    return WAYPOINT_CATEGORIES[waypoint && waypoint.category] || WAYPOINT_CATEGORIES.general;
+}
+
+// Shrink a camera photo so a handful of waypoints don't fill the phone's storage
+function resizeWaypointPhoto(file) {
+    return new Promise((resolve, reject) => {
+        const url = URL.createObjectURL(file);
+        const image = new Image();
+        image.onload = () => {
+            URL.revokeObjectURL(url);
+            const scale = Math.min(1, WAYPOINT_PHOTO_SETTINGS.maxSize / Math.max(image.width, image.height));
+            const canvas = document.createElement('canvas');
+            canvas.width = Math.round(image.width * scale);
+            canvas.height = Math.round(image.height * scale);
+            canvas.getContext('2d').drawImage(image, 0, 0, canvas.width, canvas.height);
+            canvas.toBlob(blob => (blob ? resolve(blob) : reject(new Error('Could not encode photo'))),
+                'image/jpeg', WAYPOINT_PHOTO_SETTINGS.quality);
+        };
+        image.onerror = () => {
+            URL.revokeObjectURL(url);
+            reject(new Error('Could not read photo'));
+        };
+        image.src = url;
+    });
+}
+
+function setWaypointEditorPreview(blob) {
+    const preview = document.getElementById('waypoint-photo-preview');
+    const removeButton = document.getElementById('waypoint-photo-remove');
+    if (waypointEditorState.previewUrl) URL.revokeObjectURL(waypointEditorState.previewUrl);
+    waypointEditorState.previewUrl = blob ? URL.createObjectURL(blob) : null;
+    if (preview) {
+        preview.src = waypointEditorState.previewUrl || '';
+        preview.style.display = blob ? 'block' : 'none';
+    }
+    if (removeButton) removeButton.style.display = blob ? '' : 'none';
+}
+
+// Resolves with the saved waypoint, or null when cancelled
+function openWaypointEditor(waypoint) {
+    const sheet = document.getElementById('waypoint-sheet');
+    if (!sheet) {
+        console.error('[WaypointEditor] Waypoint sheet not found in HTML');
+        return Promise.resolve(null);
+    }
+    if (waypointEditorState.resolve) closeWaypointEditor(null); // Only one sheet at a time
+
+    const isNew = !waypoint.id;
+    waypointEditorState.waypoint = waypoint;
+    waypointEditorState.photo = undefined;
+
+    document.getElementById('waypoint-sheet-title').textContent = isNew ? 'New Waypoint' : 'Edit Waypoint';
+    document.getElementById('waypoint-name-input').value = waypoint.name || `Waypoint ${new Date().toLocaleDateString()}`;
+    document.getElementById('waypoint-category-select').value = WAYPOINT_CATEGORIES[waypoint.category] ? waypoint.category : 'general';
+    document.getElementById('waypoint-notes-input').value = waypoint.description || '';
+    document.getElementById('waypoint-photo-input').value = '';
+    document.getElementById('waypoint-sheet-coords').textContent = formatCoordinates(waypoint.lat, waypoint.lon);
+    document.getElementById('waypoint-delete-btn').style.display = isNew ? 'none' : '';
+    setWaypointEditorPreview(waypoint.photo || null);
+
+    sheet.style.display = 'flex';
+    document.getElementById('waypoint-name-input').focus();
+    return new Promise(resolve => { waypointEditorState.resolve = resolve; });
+}
+
+function closeWaypointEditor(result) {
+    const sheet = document.getElementById('waypoint-sheet');
+    if (sheet) sheet.style.display = 'none';
+    setWaypointEditorPreview(null);
+    const resolve = waypointEditorState.resolve;
+    waypointEditorState.resolve = null;
+    waypointEditorState.waypoint = null;
+    if (resolve) resolve(result);
+}
+
+async function saveWaypointFromEditor(event) {
+    event.preventDefault();
+    const original = waypointEditorState.waypoint;
+    if (!original) return;
+
+    const name = document.getElementById('waypoint-name-input').value.trim();
+    const waypoint = Object.assign({}, original, {
+        name: name || `Waypoint ${new Date().toLocaleString()}`,
+        category: document.getElementById('waypoint-category-select').value,
+        description: document.getElementById('waypoint-notes-input').value.trim(),
+        dms: { lat: decimalToDMS(original.lat, 'lat'), lon: decimalToDMS(original.lon, 'lon') },
+        timestamp: original.timestamp || new Date().toISOString()
+    });
+    if (waypointEditorState.photo !== undefined) {
+        if (waypointEditorState.photo) waypoint.photo = waypointEditorState.photo;
+        else delete waypoint.photo;
+    }
+    if (original.id) waypoint.updatedTimestamp = new Date().toISOString();
+
+    try {
+        if (typeof db === 'undefined' || !db.waypoints) throw new Error('Database not available');
+        if (waypoint.id) {
+            await db.waypoints.put(waypoint);
+        } else {
+            waypoint.id = await db.waypoints.add(waypoint);
+        }
+        console.log(`[WaypointEditor] Saved waypoint ${waypoint.id} ("${waypoint.name}", ${waypoint.category})`);
+        notifyWaypointSaved(waypoint, !original.id);
+        closeWaypointEditor(waypoint);
+        if (typeof loadAndDisplaySavedWaypoints === 'function') loadAndDisplaySavedWaypoints();
+    } catch (error) {
+        console.error('[WaypointEditor] Error saving waypoint:', error);
+        alert('Error saving waypoint. See console for details.');
+    }
+}
+
+function notifyWaypointSaved(waypoint, isNew) {
+    const category = getWaypointCategory(waypoint);
+    const message = `${category.symbol} ${escapeXml(waypoint.name)}<br><small>${formatCoordinates(waypoint.lat, waypoint.lon)}</small>`;
+    if (window.toastSystem) {
+        window.toastSystem.success(isNew ? 'Waypoint Saved' : 'Waypoint Updated', message);
+    } else {
+        alert(`${isNew ? 'Waypoint saved' : 'Waypoint updated'}: ${waypoint.name}`);
+    }
+}
+
+async function deleteWaypointFromEditor() {
+    const waypoint = waypointEditorState.waypoint;
+    if (!waypoint || !waypoint.id) return;
+    if (!confirm(`Are you sure you want to delete waypoint "${waypoint.name}"?`)) return;
+    try {
+        await db.waypoints.delete(waypoint.id);
+        console.log('[WaypointEditor] Deleted waypoint', waypoint.id);
+        closeWaypointEditor(null);
+        if (typeof loadAndDisplaySavedWaypoints === 'function') loadAndDisplaySavedWaypoints();
+    } catch (error) {
+        console.error('[WaypointEditor] Error deleting waypoint:', error);
+        alert('Error deleting waypoint.');
+    }
+}
+
+// Used by the Edit buttons in waypoint popups and the My Waypoints list
+async function editWaypoint(id) {
+    try {
+        const waypoint = await db.waypoints.get(id);
+        if (!waypoint) {
+            alert('This waypoint no longer exists.');
+            return null;
+        }
+        return openWaypointEditor(waypoint);
+    } catch (error) {
+        console.error('[WaypointEditor] Error loading waypoint:', error);
+        return null;
+    }
+}
+
+function initializeWaypointEditor() {
+    const form = document.getElementById('waypoint-form');
+    if (!form) {
+        console.error('[WaypointEditor] Waypoint form not found in HTML');
+        return;
+    }
+
+    const categorySelect = document.getElementById('waypoint-category-select');
+    categorySelect.innerHTML = Object.keys(WAYPOINT_CATEGORIES)
+        .map(key => `<option value="${key}">${WAYPOINT_CATEGORIES[key].symbol} ${WAYPOINT_CATEGORIES[key].label}</option>`)
+        .join('');
+
+    form.addEventListener('submit', saveWaypointFromEditor);
+    document.getElementById('waypoint-cancel-btn').addEventListener('click', () => closeWaypointEditor(null));
+    document.getElementById('waypoint-delete-btn').addEventListener('click', deleteWaypointFromEditor);
+    document.getElementById('waypoint-photo-remove').addEventListener('click', () => {
+        waypointEditorState.photo = null;
+        document.getElementById('waypoint-photo-input').value = '';
+        setWaypointEditorPreview(null);
+    });
+    document.getElementById('waypoint-photo-input').addEventListener('change', async event => {
+        const file = event.target.files && event.target.files[0];
+        if (!file) return;
+        try {
+            waypointEditorState.photo = await resizeWaypointPhoto(file);
+            setWaypointEditorPreview(waypointEditorState.photo);
+        } catch (error) {
+            console.error('[WaypointEditor] Error processing photo:', error);
+            alert('Could not use this photo. Please try another one.');
+        }
+    });
+    // Tapping the backdrop cancels, like the other overlays
+    document.getElementById('waypoint-sheet').addEventListener('click', event => {
+        if (event.target.id === 'waypoint-sheet') closeWaypointEditor(null);
+    });
+}
+
+document.addEventListener('DOMContentLoaded', initializeWaypointEditor);
+
+console.log('[WaypointEditor] waypoint_editor.js loaded.');
@@ -1,5 +1,4 @@
 // js/waypoint_logic.js
-let saveWaypointCallCounter = 0; // Counter for saveNewWaypoint entries
 let isLoadingWaypoints = false; // Flag to prevent re-entrant calls to loadAndDisplaySavedWaypoints
 
 // Initialize Dexie database for waypoints
@@ -12,7 +11,11 @@ if (typeof Dexie !== 'undefined') {
         weather_cache: "id",
         waypoints: "++id, name, timestamp"
     });
-    console.log("[WaypointLogic] Dexie DB version 4 configured with waypoints store.");
+    // Version 5: waypoint categories (photos are stored on the record but not indexed)
+    db.version(5).stores({
+        waypoints: "++id, name, timestamp, category"
+    });
+    console.log("[WaypointLogic] Dexie DB version 5 configured with waypoints store.");
 } else {
     console.error("[WaypointLogic] Dexie library not available");
 }
@@ -40,90 +43,50 @@ function decimalToDMS(decimal, type) {
     return `${degrees}°${minutes}\'${seconds}" ${direction}`;
 }
 
-// Function to handle saving a new waypoint (with prompts for name and description)
+// Opens the waypoint sheet (waypoint_editor.js) for a new waypoint at lat, lon
 async function saveNewWaypoint(lat, lon) {
-    const callId = ++saveWaypointCallCounter;
-    console.log(`[WaypointLogic CALL #${callId}] saveNewWaypoint called with lat, lon:`, lat, lon);
-
-    const name = prompt(`[CALL #${callId}] Enter a name for this waypoint:`, `Waypoint ${new Date().toLocaleDateString()}`);
-    if (name === null) {
-        console.log(`[WaypointLogic CALL #${callId}] User cancelled entering name.`);
-        return; 
-    }
-
-    const description = prompt(`[CALL #${callId}] Enter a description for this waypoint (optional):`, "");
-
-    const dmsLat = decimalToDMS(lat, "lat");
-    const dmsLon = decimalToDMS(lon, "lon");
-    const timestamp = new Date().toISOString();
-
-    const newWaypoint = {
-        name: name || `Waypoint ${new Date(timestamp).toLocaleString()}`,
-        description: description || "",
-        lat: lat,
-        lon: lon,
-        dms: {
-            lat: dmsLat,
-            lon: dmsLon
-        },
-        timestamp: timestamp
-    };
-
-    console.log(`[WaypointLogic CALL #${callId}] New Waypoint Data Prepared:`, JSON.stringify(newWaypoint));
-
-    try {
-        if (typeof db !== 'undefined' && db.waypoints) {
-            console.log(`[WaypointLogic CALL #${callId}] DB connection available.`);
-            const countBefore = await db.waypoints.count();
-            console.log(`[WaypointLogic CALL #${callId}] Waypoints count BEFORE add: ${countBefore}`);
-            console.log(`[WaypointLogic CALL #${callId}] About to call db.waypoints.add() with:`, JSON.stringify(newWaypoint));
-            const addedId = await db.waypoints.add(newWaypoint);
-            console.log(`[WaypointLogic CALL #${callId}] Waypoint supposedly ADDED to IndexedDB. Returned ID: ${addedId}`);
-            const countAfter = await db.waypoints.count();
-            console.log(`[WaypointLogic CALL #${callId}] Waypoints count AFTER add: ${countAfter}`);
-            if (addedId) {
-                const fetchedWaypoint = await db.waypoints.get(addedId);
-                console.log(`[WaypointLogic CALL #${callId}] Fetched waypoint by ID ${addedId} immediately after add:`, JSON.stringify(fetchedWaypoint));
-            }
-            if (countAfter > countBefore) {
-                 console.log(`[WaypointLogic CALL #${callId}] Successfully added ${countAfter - countBefore} waypoint(s).`);
-            } else {
-                console.warn(`[WaypointLogic CALL #${callId}] Waypoint count did NOT increase after add. Before: ${countBefore}, After: ${countAfter}`);
-            }
-            alert(`[CALL #${callId}] Waypoint Saved (ID: ${addedId})\nName: ${newWaypoint.name}\nCoords: ${dmsLat}, ${dmsLon}`);
-            if (typeof loadAndDisplaySavedWaypoints === 'function') {
-                console.log(`[WaypointLogic CALL #${callId}] Calling loadAndDisplaySavedWaypoints().`);
-                loadAndDisplaySavedWaypoints();
-            }
-        } else {
-            console.error(`[WaypointLogic CALL #${callId}] Database (db or db.waypoints) not available for saving waypoint.`);
-            alert(`[CALL #${callId}] Error: Could not save waypoint. Database not ready.`);
-        }
-    } catch (error) {
-        console.error(`[WaypointLogic CALL #${callId}] Error during waypoint save/DB operation:`, error);
-        alert(`[CALL #${callId}] Error saving waypoint. See console for details.`);
+    console.log("[WaypointLogic] saveNewWaypoint called with lat, lon:", lat, lon);
+    if (typeof openWaypointEditor !== 'function') {
+        console.error("[WaypointLogic] Waypoint editor not loaded.");
+        alert("Error: Could not open the waypoint editor.");
+        return null;
     }
-    console.log(`[WaypointLogic CALL #${callId}] saveNewWaypoint execution finished.`);
+    const waypoint = await openWaypointEditor({ lat: lat, lon: lon });
+    if (!waypoint) console.log("[WaypointLogic] User cancelled new waypoint.");
+    return waypoint;
 }
 
-// Blue circle marker for waypoints (same style as "Where Am I" but blue)
-function createWaypointMarker(lat, lon) {
-    return L.circleMarker([lat, lon], {
+// Circle marker in the category's colour (same style as "Where Am I"), with the category
+// symbol as a permanent tooltip. Icon markers are hidden by styles.css, so vector layers are used.
+function createWaypointMarker(waypoint) {
+    const category = getWaypointCategory(waypoint);
+    return L.circleMarker([waypoint.lat, waypoint.lon], {
         radius: 8,
-        fillColor: '#0066ff',  // Blue color instead of red
+        fillColor: category.color,
         color: '#ffffff',      // White border
         weight: 3,
         opacity: 1,
         fillOpacity: 1,
         // Enhanced visibility options
         interactive: true,
-        bubblingMouseEvents: false,
-        zIndexOffset: 2000,
-        riseOnHover: true,
-        riseOffset: 250
+        bubblingMouseEvents: false
+    }).bindTooltip(category.symbol, {
+        permanent: true,
+        direction: 'top',
+        offset: [0, -8],
+        className: 'waypoint-category-tooltip'
     });
 }
 
+let waypointPhotoUrls = []; // Object URLs for waypoint photos, revoked on every reload
+
+function getWaypointPhotoUrl(waypoint) {
+    if (!(waypoint.photo instanceof Blob)) return null;
+    const url = URL.createObjectURL(waypoint.photo);
+    waypointPhotoUrls.push(url);
+    return url;
+}
+
 let waypointMarkersLayer = L.layerGroup();
 
 function addWaypointToMap(waypoint) {
@@ -137,12 +100,23 @@ function addWaypointToMap(waypoint) {
          waypointMarkersLayer.addTo(mapRef);
     }
     
-    // Create a blue circle waypoint marker (same style as "Where Am I" but blue)
-    const marker = createWaypointMarker(waypoint.lat, waypoint.lon)
-        .bindPopup(`<b>${waypoint.name}</b><br>${waypoint.description || ''}<br><small>${waypoint.dms.lat}, ${waypoint.dms.lon}</small>`)
+    const category = getWaypointCategory(waypoint);
+    const photoUrl = getWaypointPhotoUrl(waypoint);
+    const marker = createWaypointMarker(waypoint)
+        .bindPopup(`
+            <b>${category.symbol} ${escapeXml(waypoint.name)}</b><br>
+            <small>${category.label}</small><br>
+            ${waypoint.description ? `${escapeXml(waypoint.description)}<br>` : ''}
+            ${photoUrl ? `<img src="${photoUrl}" class="waypoint-photo" alt="Waypoint photo"><br>` : ''}
+            <small>${formatCoordinates(waypoint.lat, waypoint.lon)}</small><br>
+            <button class="btn-compact" onclick="navigateToWaypoint(${waypoint.id})">Go to</button>
+            <button class="btn-compact" onclick="editWaypoint(${waypoint.id})">Edit</button>
+        `)
         .addTo(waypointMarkersLayer);
-    
-    console.log(`[WaypointLogic] Added blue circle waypoint marker to map at ${waypoint.lat}, ${waypoint.lon}`);
+    marker.waypointId = waypoint.id;
+    if (typeof enableWaypointDrag === 'function') enableWaypointDrag(marker, waypoint);
+
+    console.log(`[WaypointLogic] Added ${category.label} waypoint marker to map at ${waypoint.lat}, ${waypoint.lon}`);
     return marker;
 }
 
@@ -155,10 +129,13 @@ function addWaypointToList(waypoint, container) {
     const item = document.createElement('div');
     item.className = 'waypoint-list-item';
     item.setAttribute('data-waypoint-id', waypoint.id); // Add data attribute for easier debugging
+    const category = getWaypointCategory(waypoint);
+    const photoUrl = getWaypointPhotoUrl(waypoint);
     item.innerHTML = `
-        <h4>${waypoint.name}</h4>
-        <p>${waypoint.description || 'No description'}</p>
-        <p><small>Coordinates: ${waypoint.dms.lat}, ${waypoint.dms.lon}</small></p>
+        <h4><span class="waypoint-category-badge" style="background: ${category.color}">${category.symbol} ${category.label}</span> ${escapeXml(waypoint.name)}</h4>
+        <p>${waypoint.description ? escapeXml(waypoint.description) : 'No description'}</p>
+        ${photoUrl ? `<img src="${photoUrl}" class="waypoint-photo" alt="Waypoint photo">` : ''}
+        <p><small>Coordinates: ${formatCoordinates(waypoint.lat, waypoint.lon)}</small></p>
         <p><small>Saved: ${new Date(waypoint.timestamp).toLocaleString()} (ID: ${waypoint.id})</small></p>
     `;
     const viewButton = document.createElement('button');
@@ -169,14 +146,18 @@ function addWaypointToList(waypoint, container) {
         if (typeof mapRef !== 'undefined' && mapRef) {
             mapRef.setView([waypoint.lat, waypoint.lon], 15);
             waypointMarkersLayer.eachLayer(layer => {
-                if (layer.getLatLng().lat === waypoint.lat && layer.getLatLng().lng === waypoint.lon) {
-                    layer.openPopup();
-                }
+                if (layer.waypointId === waypoint.id) layer.openPopup();
             });
             if (typeof switchSection === 'function') switchSection('map');
             else console.warn("[WaypointLogic] switchSection function not found when trying to view waypoint on map.");
         }
     };
+    const goToButton = document.createElement('button');
+    goToButton.textContent = 'Go to';
+    goToButton.onclick = () => navigateToWaypoint(waypoint.id);
+    const editButton = document.createElement('button');
+    editButton.textContent = 'Edit';
+    editButton.onclick = () => editWaypoint(waypoint.id);
     const exportButton = document.createElement('button');
     exportButton.textContent = 'Export GPX';
     exportButton.onclick = () => exportWaypointAsGPX(waypoint);
@@ -194,7 +175,12 @@ function addWaypointToList(waypoint, container) {
             }
         }
     };
+    if (typeof createWaypointSelectCheckbox === 'function') {
+        item.querySelector('h4').prepend(createWaypointSelectCheckbox(waypoint));
+    }
     item.appendChild(viewButton);
+    item.appendChild(goToButton);
+    item.appendChild(editButton);
     item.appendChild(exportButton);
     item.appendChild(deleteButton);
     container.appendChild(item);
@@ -202,31 +188,27 @@ function addWaypointToList(waypoint, container) {
 }
 
 function exportWaypointAsGPX(waypoint) {
-    const gpxContent = 
-`<?xml version="1.0" encoding="UTF-8" standalone="no" ?>
-<gpx xmlns="http://www.topografix.com/GPX/1/1" xmlns:xsi="http://www.w3.org/2001/XMLSchema-instance" xsi:schemaLocation="http://www.topografix.com/GPX/1/1 http://www.topografix.com/GPX/1/1/gpx.xsd" version="1.1" creator="QueenRoseApp">
-  <metadata>
-    <name>Waypoint - ${waypoint.name}</name>
-    <time>${waypoint.timestamp}</time>
-  </metadata>
-  <wpt lat="${waypoint.lat}" lon="${waypoint.lon}">
-    <ele>0</ele>
-    <time>${waypoint.timestamp}</time>
-    <name>${waypoint.name}</name>
-    <desc>${waypoint.description || ''}</desc>
-    <sym>flag</sym>
-  </wpt>
-</gpx>`;
-    const blob = new Blob([gpxContent], { type: 'application/gpx+xml' });
-    const fileName = `Waypoint_${waypoint.name.replace(/[^a-z0-9]/gi, '_')}.gpx`;
-    const link = document.createElement('a');
-    link.href = URL.createObjectURL(blob);
-    link.download = fileName;
-    document.body.appendChild(link);
-    link.click();
-    document.body.removeChild(link);
-    URL.revokeObjectURL(link.href);
-    console.log("[WaypointLogic] Exported waypoint as GPX:", waypoint.name);
+    exportWaypointsAsGPX([waypoint], `Waypoint - ${waypoint.name}`, `Waypoint_${waypoint.name}`);
+}
+
+// Export one or many waypoints in a single GPX file (writer lives in gpx_export.js)
+function exportWaypointsAsGPX(waypoints, title, fileName) {
+    downloadGPX({ name: title, waypoints: waypoints }, fileName);
+    console.log(`[WaypointLogic] Exported ${waypoints.length} waypoint(s) as GPX:`, title);
+}
+
+async function exportAllWaypointsAsGPX() {
+    try {
+        const waypoints = await db.waypoints.toArray();
+        if (waypoints.length === 0) {
+            alert("No waypoints saved yet.");
+            return;
+        }
+        exportWaypointsAsGPX(waypoints, "Queen Rose Waypoints", "Queen_Rose_Waypoints");
+    } catch (error) {
+        console.error("[WaypointLogic] Error exporting waypoints:", error);
+        alert("Error exporting waypoints.");
+    }
 }
 
 async function loadAndDisplaySavedWaypoints() {
@@ -281,6 +263,8 @@ async function loadAndDisplaySavedWaypoints() {
         console.log("[WaypointLogic] loadAndDisplaySavedWaypoints: Clearing waypointMarkersLayer.");
         waypointMarkersLayer.clearLayers(); 
     }
+    waypointPhotoUrls.forEach(url => URL.revokeObjectURL(url));
+    waypointPhotoUrls = [];
 
     try {
         const waypoints = await db.waypoints.toArray();
@@ -294,6 +278,7 @@ async function loadAndDisplaySavedWaypoints() {
                 addWaypointToList(waypoint, waypointsListContainer); 
             });
         }
+        if (typeof syncWaypointSelection === 'function') syncWaypointSelection(waypoints);
         console.log(`[WaypointLogic] loadAndDisplaySavedWaypoints: AFTER loop, list container has ${waypointsListContainer.children.length} children.`);
     } catch (error) {
         console.error("[WaypointLogic] loadAndDisplaySavedWaypoints: Error loading from DB:", error);
@@ -308,6 +293,10 @@ document.addEventListener("DOMContentLoaded", () => {
     if (typeof map !== 'undefined' && map) {
         waypointMarkersLayer.addTo(map);
     }
+    const exportAllButton = document.getElementById('export-all-waypoints-gpx-btn');
+    if (exportAllButton) {
+        exportAllButton.addEventListener('click', exportAllWaypointsAsGPX);
+    }
     if (typeof loadAndDisplaySavedWaypoints === 'function') {
         loadAndDisplaySavedWaypoints(); 
     }
@@ -0,0 +1,206 @@
+// js/waypoint_navigation.js
+// "Go to" navigation towards a saved waypoint or a POI from a trail or uploaded KML: an arrow pointing
+// at the target, the straight-line distance and, when both the hiker and the target are on the
+// displayed trail or uploaded route, the distance along it. Updates with every fix from location_service.js and every compass reading.
+
+const NAVIGATION_SETTINGS = {
+    arrivalRadius: 25, // Closer than this counts as arrived (metres)
+    onTrailDistance: 75, // A target this close to the trail line can be reached along it (metres)
+    lineColor: '#6A1B9A'
+};
+
+let navigationState = {
+    target: null, // { name, lat, lon }
+    line: null,
+    targetMarker: null,
+    latest: null, // { distance, bearing, alongTrail, arrived } from the last fix
+    arrived: false
+};
+
+// Entry point for waypoint popups and the My Waypoints list
+async function navigateToWaypoint(id) {
+    try {
+        const waypoint = await db.waypoints.get(id);
+        if (!waypoint) {
+            alert('This waypoint no longer exists.');
+            return;
+        }
+        startNavigation({ name: waypoint.name, lat: waypoint.lat, lon: waypoint.lon });
+    } catch (error) {
+        console.error('[Navigation] Error loading waypoint:', error);
+    }
+}
+
+// Entry point for POI popups, from bundled trails and uploaded files alike (createPoiMarker)
+function navigateToPoint(lat, lon, name) {
+    startNavigation({ name: name || 'Selected point', lat: Number(lat), lon: Number(lon) });
+}
+
+function startNavigation(target) {
+    const mapRef = window.leafletMap || map;
+    if (!mapRef) {
+        console.error('[Navigation] Map not available');
+        return;
+    }
+    stopNavigation();
+    if (!subscribeToLocation('navigation', updateNavigation, handleNavigationError)) return;
+    startCompass(); // Started from a tap, so iOS can ask for compass access
+
+    navigationState.target = target;
+    navigationState.latest = null;
+    navigationState.arrived = false;
+    navigationState.targetMarker = L.circleMarker([target.lat, target.lon], {
+        radius: 14,
+        color: NAVIGATION_SETTINGS.lineColor,
+        weight: 3,
+        fill: false,
+        interactive: false
+    }).addTo(mapRef);
+    mapRef.closePopup();
+    if (typeof switchSection === 'function') switchSection('map');
+    console.log(`[Navigation] Navigating to "${target.name}" (${target.lat}, ${target.lon})`);
+
+    const position = locationServiceState.lastPosition;
+    if (position) {
+        updateNavigation(position);
+        mapRef.fitBounds(L.latLngBounds([
+            [position.coords.latitude, position.coords.longitude],
+            [target.lat, target.lon]
+        ]), { padding: [40, 40], maxZoom: 17 });
+    } else {
+        mapRef.setView([target.lat, target.lon], Math.max(mapRef.getZoom(), 15));
+        renderNavigationPanel(null);
+    }
+}
+
+function stopNavigation() {
+    const mapRef = window.leafletMap || map;
+    if (!navigationState.target) return;
+    unsubscribeFromLocation('navigation');
+    if (mapRef) {
+        if (navigationState.line) mapRef.removeLayer(navigationState.line);
+        if (navigationState.targetMarker) mapRef.removeLayer(navigationState.targetMarker);
+    }
+    navigationState.target = null;
+    navigationState.line = null;
+    navigationState.targetMarker = null;
+
+    const panel = document.getElementById('navigation-panel');
+    if (panel) {
+        panel.style.display = 'none';
+        panel.innerHTML = '';
+    }
+    console.log('[Navigation] Stopped');
+}
+
+function handleNavigationError(error) {
+    showLocationError(error);
+    if (error.code === error.PERMISSION_DENIED) stopNavigation();
+}
+
+// The selected trail's stages, or those of an uploaded file shown from My KML Files
+function getNavigationRoute() {
+    const stages = typeof getTrailProgressStages === 'function' ? getTrailProgressStages() : null;
+    if (stages && stages.length > 0) return { stages: stages, isMultiStage: trailProgressState.isMultiStage };
+    return typeof getDisplayedKMLRoute === 'function' ? getDisplayedKMLRoute() : null;
+}
+
+// Distance along the displayed route between the hiker and the target, or null when either is off it
+function getAlongTrailDistance(lat, lon, target) {
+    const route = getNavigationRoute();
+    if (!route) return null;
+    const stages = route.stages;
+
+    const targetNearest = nearestPointOnLines(target.lat, target.lon, stages);
+    const userNearest = nearestPointOnLines(lat, lon, stages);
+    if (!targetNearest || targetNearest.distance > NAVIGATION_SETTINGS.onTrailDistance) return null;
+    if (!userNearest || userNearest.distance > TRAIL_PROGRESS_SETTINGS.maxSnapDistance) return null;
+    // Separate lines of a single-day KML are alternatives, not one continuous route
+    if (!route.isMultiStage && targetNearest.lineIndex !== userNearest.lineIndex) return null;
+
+    const along = nearest => {
+        const stage = stages[nearest.lineIndex];
+        return stage.offset + distanceAlongLine(stage.cumulative, nearest);
+    };
+    return Math.abs(along(targetNearest) - along(userNearest));
+}
+
+// Called by the location service on every fix
+function updateNavigation(position) {
+    const target = navigationState.target;
+    if (!target) return;
+    const mapRef = window.leafletMap || map;
+    const lat = position.coords.latitude;
+    const lon = position.coords.longitude;
+
+    const latLngs = [[lat, lon], [target.lat, target.lon]];
+    if (navigationState.line) {
+        navigationState.line.setLatLngs(latLngs);
+    } else {
+        navigationState.line = L.polyline(latLngs, {
+            color: NAVIGATION_SETTINGS.lineColor,
+            weight: 3,
+            dashArray: '6, 8',
+            interactive: false
+        }).addTo(mapRef);
+    }
+
+    const distance = haversineDistance(lat, lon, target.lat, target.lon);
+    const navigation = {
+        distance: distance,
+        bearing: initialBearing(lat, lon, target.lat, target.lon),
+        alongTrail: getAlongTrailDistance(lat, lon, target),
+        arrived: distance <= NAVIGATION_SETTINGS.arrivalRadius
+    };
+    if (navigation.arrived && !navigationState.arrived && window.toastSystem) {
+        window.toastSystem.success('Arrived', `You have reached ${escapeXml(target.name)}.`);
+    }
+    navigationState.arrived = navigation.arrived;
+    navigationState.latest = navigation;
+    renderNavigationPanel(navigation);
+}
+
+// Turns the arrow without redrawing the panel; called for compass readings as well as fixes
+function updateNavigationArrow() {
+    const arrow = document.getElementById('navigation-arrow');
+    const navigation = navigationState.latest;
+    if (!arrow || !navigationState.target || !navigation) return;
+
+    const heading = getCurrentHeading();
+    const angle = heading === null ? navigation.bearing : navigation.bearing - heading;
+    arrow.style.transform = `rotate(${angle}deg)`;
+    arrow.title = heading === null ? 'Direction with north up (no compass heading yet)' : 'Direction relative to where you are facing';
+}
+
+function renderNavigationPanel(navigation) {
+    const panel = document.getElementById('navigation-panel');
+    if (!panel || !navigationState.target) return;
+    panel.style.display = 'flex';
+
+    let details;
+    if (!navigation) {
+        details = '<span class="navigation-muted">Waiting for your position...</span>';
+    } else if (navigation.arrived) {
+        details = '<span><strong>You have arrived.</strong></span>';
+    } else {
+        details = `
+            <span><strong>${formatDistance(navigation.distance)}</strong> straight line</span>
+            <span><strong>${Math.round(navigation.bearing)}° ${formatCompassPoint(navigation.bearing)}</strong></span>
+            ${navigation.alongTrail !== null ? `<span><strong>${formatDistance(navigation.alongTrail)}</strong> along the trail</span>` : ''}
+        `;
+    }
+
+    panel.innerHTML = `
+        <span id="navigation-arrow" class="navigation-arrow">⬆</span>
+        <div class="navigation-details">
+            <div><strong>Go to:</strong> ${escapeXml(navigationState.target.name)}</div>
+            <div class="navigation-readout">${details}</div>
+        </div>
+        <button id="navigation-stop" class="btn-compact" title="Stop navigating">✕</button>
+    `;
+    document.getElementById('navigation-arrow').style.visibility = navigation && !navigation.arrived ? 'visible' : 'hidden';
+    document.getElementById('navigation-stop').addEventListener('click', stopNavigation);
+    updateNavigationArrow();
+}
+
+console.log('[Navigation] waypoint_navigation.js loaded.');
@@ -0,0 +1,139 @@
+// js/waypoint_placement.js
+// Placing waypoints away from the GPS position: long-press (right-click on desktop) on the map opens
+// the waypoint sheet at that spot, and saved waypoint markers can be dragged to a new position.
+// Leaflet turns a touch long-press into a 'contextmenu' event on every platform (tapHold on iOS).
+
+const WAYPOINT_PLACEMENT_SETTINGS = {
+    dragThreshold: 6 // Pixels the pointer must move before a press on a marker becomes a drag
+};
+
+let waypointPlacementState = {
+    drag: null, // { marker, waypoint, startPoint, moved, pointerId }
+    lastMove: null // { id, lat, lon } position before the last drag, for Undo
+};
+
+// Leaflet's pointer maths don't account for the CSS rotation of heading-up mode
+function isMapRotated() {
+    return typeof locationHeadingState !== 'undefined' && locationHeadingState.headingUp;
+}
+
+function handleMapLongPress(event) {
+    if (isMapRotated()) {
+        console.log('[WaypointPlacement] Long-press ignored in heading-up mode');
+        if (window.toastSystem) {
+            window.toastSystem.info('Map Is Rotated', 'Switch back to North Up to drop a waypoint on the map.');
+        }
+        return;
+    }
+    if (typeof saveNewWaypoint !== 'function') return;
+    console.log('[WaypointPlacement] Long-press at', event.latlng.lat, event.latlng.lng);
+    saveNewWaypoint(event.latlng.lat, event.latlng.lng);
+}
+
+// Called by addWaypointToMap for every waypoint marker
+function enableWaypointDrag(marker, waypoint) {
+    const bind = () => {
+        const element = marker.getElement();
+        if (!element || element.waypointDragBound) return;
+        element.waypointDragBound = true;
+        L.DomEvent.on(element, 'pointerdown', event => startWaypointDrag(event, marker, waypoint));
+    };
+    marker.on('add', bind);
+    bind(); // Already on the map when called from addWaypointToMap
+}
+
+function startWaypointDrag(event, marker, waypoint) {
+    const mapRef = window.leafletMap || map;
+    if (!mapRef || event.button > 0 || isMapRotated() || waypointPlacementState.drag) return;
+    L.DomEvent.stopPropagation(event);
+    mapRef.dragging.disable(); // Otherwise the map pans along with the marker
+
+    waypointPlacementState.drag = {
+        marker: marker,
+        waypoint: waypoint,
+        startPoint: L.point(event.clientX, event.clientY),
+        moved: false,
+        pointerId: event.pointerId
+    };
+    document.addEventListener('pointermove', moveWaypointDrag);
+    document.addEventListener('pointerup', endWaypointDrag);
+    document.addEventListener('pointercancel', endWaypointDrag);
+}
+
+function moveWaypointDrag(event) {
+    const drag = waypointPlacementState.drag;
+    if (!drag || event.pointerId !== drag.pointerId) return;
+    const point = L.point(event.clientX, event.clientY);
+    if (!drag.moved && point.distanceTo(drag.startPoint) < WAYPOINT_PLACEMENT_SETTINGS.dragThreshold) return;
+
+    const mapRef = window.leafletMap || map;
+    if (!drag.moved) {
+        drag.moved = true;
+        drag.marker.closePopup();
+    }
+    drag.marker.setLatLng(mapRef.mouseEventToLatLng(event));
+}
+
+async function endWaypointDrag(event) {
+    const drag = waypointPlacementState.drag;
+    if (!drag || event.pointerId !== drag.pointerId) return;
+    waypointPlacementState.drag = null;
+    document.removeEventListener('pointermove', moveWaypointDrag);
+    document.removeEventListener('pointerup', endWaypointDrag);
+    document.removeEventListener('pointercancel', endWaypointDrag);
+
+    const mapRef = window.leafletMap || map;
+    if (!isMapRotated()) mapRef.dragging.enable();
+    if (!drag.moved) return; // A plain tap; the marker's popup opens as usual
+
+    // The browser still sends a click for the press; keep the popup closed after a drag
+    setTimeout(() => drag.marker.closePopup(), 0);
+
+    if (event.type === 'pointercancel') {
+        drag.marker.setLatLng([drag.waypoint.lat, drag.waypoint.lon]);
+        return;
+    }
+    const latLng = drag.marker.getLatLng();
+    await moveWaypoint(drag.waypoint, latLng.lat, latLng.lng);
+}
+
+async function moveWaypoint(waypoint, lat, lon, isUndo) {
+    try {
+        await db.waypoints.update(waypoint.id, {
+            lat: lat,
+            lon: lon,
+            dms: { lat: decimalToDMS(lat, 'lat'), lon: decimalToDMS(lon, 'lon') },
+            updatedTimestamp: new Date().toISOString()
+        });
+        console.log(`[WaypointPlacement] Moved waypoint ${waypoint.id} to ${lat}, ${lon}`);
+        waypointPlacementState.lastMove = isUndo ? null : { id: waypoint.id, lat: waypoint.lat, lon: waypoint.lon };
+
+        if (window.toastSystem && !isUndo) {
+            window.toastSystem.success('Waypoint Moved', `${escapeXml(waypoint.name)}<br><small>${formatCoordinates(lat, lon)}</small>`, {
+                actions: [{ text: 'Undo', type: 'secondary', onClick: 'undoWaypointMove()' }]
+            });
+        }
+    } catch (error) {
+        console.error('[WaypointPlacement] Error moving waypoint:', error);
+        alert('Error moving waypoint.');
+    }
+    if (typeof loadAndDisplaySavedWaypoints === 'function') loadAndDisplaySavedWaypoints();
+}
+
+async function undoWaypointMove() {
+    const lastMove = waypointPlacementState.lastMove;
+    if (!lastMove) return;
+    const waypoint = await db.waypoints.get(lastMove.id);
+    if (waypoint) await moveWaypoint(waypoint, lastMove.lat, lastMove.lon, true);
+}
+
+document.addEventListener('DOMContentLoaded', () => {
+    const mapRef = window.leafletMap || map;
+    if (!mapRef) {
+        console.error('[WaypointPlacement] Map not available; long-press to add waypoints is disabled');
+        return;
+    }
+    mapRef.on('contextmenu', handleMapLongPress);
+});
+
+console.log('[WaypointPlacement] waypoint_placement.js loaded.');
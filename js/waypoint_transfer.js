@@ -0,0 +1,406 @@
+// js/waypoint_transfer.js
+// Bulk actions for the My Waypoints section: multi-select with bulk delete and export (GPX, KML,
+// GeoJSON, CSV), and import of waypoint files shared by other hikers. Photos stay on the device;
+// exports carry name, notes, category, time and position only, plus the position written in the
+// chosen coordinate format (coordinate_formats.js) for people reading the file.
+
+const WAYPOINT_TRANSFER_SETTINGS = {
+    duplicateRadius: 15 // An imported point this close to a saved one with the same name is a duplicate (metres)
+};
+
+const WAYPOINT_EXPORT_FORMATS = {
+    gpx: { label: 'GPX', extension: 'gpx', mimeType: 'application/gpx+xml' },
+    kml: { label: 'KML', extension: 'kml', mimeType: 'application/vnd.google-earth.kml+xml' },
+    geojson: { label: 'GeoJSON', extension: 'geojson', mimeType: 'application/geo+json' },
+    csv: { label: 'CSV', extension: 'csv', mimeType: 'text/csv' }
+};
+
+const WAYPOINT_CSV_COLUMNS = ['name', 'latitude', 'longitude', 'category', 'description', 'timestamp', 'coordinates'];
+
+let waypointSelection = new Set(); // Selected waypoint ids
+
+// --- Selection ---
+
+// Called by addWaypointToList for every list item
+function createWaypointSelectCheckbox(waypoint) {
+    const checkbox = document.createElement('input');
+    checkbox.type = 'checkbox';
+    checkbox.className = 'waypoint-select-checkbox';
+    checkbox.title = 'Select for bulk actions';
+    checkbox.checked = waypointSelection.has(waypoint.id);
+    checkbox.addEventListener('change', () => {
+        if (checkbox.checked) waypointSelection.add(waypoint.id);
+        else waypointSelection.delete(waypoint.id);
+        updateWaypointBulkActions();
+    });
+    return checkbox;
+}
+
+// Called by loadAndDisplaySavedWaypoints after every reload; forgets deleted waypoints
+function syncWaypointSelection(waypoints) {
+    const ids = new Set(waypoints.map(waypoint => waypoint.id));
+    waypointSelection.forEach(id => {
+        if (!ids.has(id)) waypointSelection.delete(id);
+    });
+    updateWaypointBulkActions();
+}
+
+function updateWaypointBulkActions() {
+    const checkboxes = document.querySelectorAll('#saved-waypoints-list-container .waypoint-select-checkbox');
+    const count = waypointSelection.size;
+    const summary = document.getElementById('waypoint-selection-summary');
+    if (summary) summary.textContent = count > 0 ? `${count} selected` : '';
+    const selectAll = document.getElementById('waypoint-select-all');
+    if (selectAll) {
+        selectAll.checked = checkboxes.length > 0 && count === checkboxes.length;
+        selectAll.indeterminate = count > 0 && count < checkboxes.length;
+    }
+    ['waypoint-bulk-export-btn', 'waypoint-bulk-delete-btn'].forEach(id => {
+        const button = document.getElementById(id);
+        if (button) button.disabled = count === 0;
+    });
+}
+
+function setAllWaypointsSelected(selected) {
+    document.querySelectorAll('#saved-waypoints-list-container .waypoint-select-checkbox').forEach(checkbox => {
+        checkbox.checked = selected;
+        const id = Number(checkbox.closest('.waypoint-list-item').getAttribute('data-waypoint-id'));
+        if (selected) waypointSelection.add(id);
+        else waypointSelection.delete(id);
+    });
+    updateWaypointBulkActions();
+}
+
+async function getSelectedWaypoints() {
+    const waypoints = await db.waypoints.bulkGet(Array.from(waypointSelection));
+    return waypoints.filter(Boolean);
+}
+
+async function deleteSelectedWaypoints() {
+    const ids = Array.from(waypointSelection);
+    if (ids.length === 0) return;
+    if (!confirm(`Delete ${ids.length} selected waypoint${ids.length === 1 ? '' : 's'}? This cannot be undone.`)) return;
+    try {
+        await db.waypoints.bulkDelete(ids);
+        console.log(`[WaypointTransfer] Deleted ${ids.length} waypoints`);
+        waypointSelection.clear();
+        loadAndDisplaySavedWaypoints();
+    } catch (error) {
+        console.error('[WaypointTransfer] Error deleting waypoints:', error);
+        alert('Error deleting waypoints.');
+    }
+}
+
+// --- Export ---
+
+function buildWaypointsKML(waypoints, name) {
+    const placemarks = waypoints.map(waypoint => {
+        const category = WAYPOINT_CATEGORIES[waypoint.category] ? waypoint.category : 'general';
+        return `    <Placemark>
+      <name>${escapeXml(waypoint.name)}</name>
+${waypoint.description ? `      <description>${escapeXml(waypoint.description)}</description>\n` : ''}${waypoint.timestamp ? `      <TimeStamp><when>${escapeXml(waypoint.timestamp)}</when></TimeStamp>\n` : ''}      <styleUrl>#waypoint-${category}</styleUrl>
+      <ExtendedData>
+        <Data name="category"><value>${category}</value></Data>
+        <Data name="coordinates"><value>${escapeXml(formatCoordinates(waypoint.lat, waypoint.lon))}</value></Data>
+      </ExtendedData>
+      <Point><coordinates>${waypoint.lon},${waypoint.lat}${typeof waypoint.ele === 'number' ? `,${waypoint.ele}` : ''}</coordinates></Point>
+    </Placemark>`;
+    }).join('\n');
+
+    // KML colours are aabbggrr
+    const styles = Object.keys(WAYPOINT_CATEGORIES).map(key => {
+        const hex = WAYPOINT_CATEGORIES[key].color.slice(1);
+        const kmlColor = `ff${hex.slice(4, 6)}${hex.slice(2, 4)}${hex.slice(0, 2)}`.toLowerCase();
+        return `    <Style id="waypoint-${key}"><IconStyle><color>${kmlColor}</color></IconStyle></Style>`;
+    }).join('\n');
+
+    return `<?xml version="1.0" encoding="UTF-8"?>
+<kml xmlns="http://www.opengis.net/kml/2.2">
+  <Document>
+    <name>${escapeXml(name)}</name>
+${styles}
+${placemarks}
+  </Document>
+</kml>
+`;
+}
+
+function buildWaypointsGeoJSON(waypoints) {
+    return JSON.stringify({
+        type: 'FeatureCollection',
+        features: waypoints.map(waypoint => ({
+            type: 'Feature',
+            properties: {
+                name: waypoint.name,
+                description: waypoint.description || '',
+                category: waypoint.category || 'general',
+                timestamp: waypoint.timestamp || null,
+                coordinates: formatCoordinates(waypoint.lat, waypoint.lon)
+            },
+            geometry: {
+                type: 'Point',
+                coordinates: typeof waypoint.ele === 'number' ? [waypoint.lon, waypoint.lat, waypoint.ele] : [waypoint.lon, waypoint.lat]
+            }
+        }))
+    }, null, 2);
+}
+
+function csvField(value) {
+    const text = value === null || value === undefined ? '' : String(value);
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function buildWaypointsCSV(waypoints) {
+    const rows = waypoints.map(waypoint => [
+        waypoint.name,
+        waypoint.lat,
+        waypoint.lon,
+        waypoint.category || 'general',
+        waypoint.description || '',
+        waypoint.timestamp || '',
+        formatCoordinates(waypoint.lat, waypoint.lon)
+    ].map(csvField).join(','));
+    return [WAYPOINT_CSV_COLUMNS.join(',')].concat(rows).join('\r\n') + '\r\n';
+}
+
+function exportWaypoints(waypoints, format, title) {
+    const config = WAYPOINT_EXPORT_FORMATS[format];
+    if (!config || waypoints.length === 0) return;
+
+    let content;
+    switch (format) {
+        case 'gpx':
+            content = buildGPX({ name: title, waypoints: waypoints });
+            break;
+        case 'kml':
+            content = buildWaypointsKML(waypoints, title);
+            break;
+        case 'geojson':
+            content = buildWaypointsGeoJSON(waypoints);
+            break;
+        case 'csv':
+            content = buildWaypointsCSV(waypoints);
+            break;
+    }
+    downloadTextFile(content, `${title.replace(/[^a-z0-9]/gi, '_')}.${config.extension}`, config.mimeType);
+    console.log(`[WaypointTransfer] Exported ${waypoints.length} waypoint(s) as ${config.label}`);
+}
+
+async function exportSelectedWaypoints() {
+    const formatSelect = document.getElementById('waypoint-export-format');
+    const format = formatSelect ? formatSelect.value : 'gpx';
+    try {
+        const waypoints = await getSelectedWaypoints();
+        if (waypoints.length === 0) {
+            alert('Select one or more waypoints to export.');
+            return;
+        }
+        exportWaypoints(waypoints, format, `Queen Rose Waypoints ${new Date().toISOString().slice(0, 10)}`);
+    } catch (error) {
+        console.error('[WaypointTransfer] Error exporting waypoints:', error);
+        alert('Error exporting waypoints.');
+    }
+}
+
+// --- Import ---
+
+// Minimal RFC 4180 parser: quoted fields, doubled quotes and line breaks inside quotes
+function parseCSV(text) {
+    const rows = [];
+    let row = [];
+    let field = '';
+    let quoted = false;
+    for (let i = 0; i < text.length; i++) {
+        const char = text[i];
+        if (quoted) {
+            if (char === '"' && text[i + 1] === '"') {
+                field += '"';
+                i++;
+            } else if (char === '"') {
+                quoted = false;
+            } else {
+                field += char;
+            }
+        } else if (char === '"') {
+            quoted = true;
+        } else if (char === ',') {
+            row.push(field);
+            field = '';
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && text[i + 1] === '\n') i++;
+            row.push(field);
+            rows.push(row);
+            row = [];
+            field = '';
+        } else {
+            field += char;
+        }
+    }
+    if (field !== '' || row.length > 0) {
+        row.push(field);
+        rows.push(row);
+    }
+    return rows.filter(r => r.some(value => value.trim() !== ''));
+}
+
+// Header names other apps commonly use for each field
+const WAYPOINT_CSV_HEADER_ALIASES = {
+    name: ['name', 'title', 'label'],
+    lat: ['latitude', 'lat'],
+    lon: ['longitude', 'lon', 'lng', 'long'],
+    category: ['category', 'type'],
+    description: ['description', 'desc', 'notes', 'comment'],
+    timestamp: ['timestamp', 'time', 'date'],
+    coordinates: ['coordinates', 'position', 'location']
+};
+
+function parseWaypointsCSV(text) {
+    const rows = parseCSV(text.replace(/^\uFEFF/, ''));
+    if (rows.length < 2) throw new Error('The CSV file has no waypoint rows.');
+
+    const header = rows[0].map(name => name.trim().toLowerCase());
+    const columns = {};
+    Object.keys(WAYPOINT_CSV_HEADER_ALIASES).forEach(field => {
+        columns[field] = header.findIndex(name => WAYPOINT_CSV_HEADER_ALIASES[field].includes(name));
+    });
+    const hasLatLon = columns.lat >= 0 && columns.lon >= 0;
+    if (!hasLatLon && columns.coordinates < 0) {
+        throw new Error('The CSV file needs latitude and longitude columns, or a coordinates column.');
+    }
+
+    const value = (row, field) => (columns[field] >= 0 ? (row[columns[field]] || '').trim() : '');
+    return rows.slice(1).map(row => {
+        // Any format parseCoordinates understands (DMS, decimal minutes, UTM, ...)
+        const position = hasLatLon
+            ? { lat: parseFloat(value(row, 'lat')), lon: parseFloat(value(row, 'lon')) }
+            : parseCoordinates(value(row, 'coordinates')) || { lat: NaN, lon: NaN };
+        return {
+            name: value(row, 'name'),
+            lat: position.lat,
+            lon: position.lon,
+            category: value(row, 'category').toLowerCase(),
+            description: value(row, 'description'),
+            timestamp: value(row, 'timestamp')
+        };
+    });
+}
+
+// Point features from GPX (wpt), KML/KMZ (Placemark) or GeoJSON, as read by kml_management.js
+function waypointsFromGeoJSON(geojson) {
+    return geojson.features
+        .filter(feature => feature.geometry && feature.geometry.type === 'Point')
+        .map(feature => {
+            const properties = feature.properties || {};
+            const coordinates = feature.geometry.coordinates;
+            return {
+                name: (properties.name || '').trim(),
+                lat: coordinates[1],
+                lon: coordinates[0],
+                ele: coordinates[2],
+                category: String(properties.category || properties.type || '').toLowerCase(),
+                description: properties.description || properties.desc || '',
+                timestamp: properties.timestamp || properties.time || ''
+            };
+        });
+}
+
+// Turn a parsed point into a waypoint record, or null when its position is unusable
+function normalizeImportedWaypoint(point, index) {
+    const lat = Number(point.lat);
+    const lon = Number(point.lon);
+    if (!isFinite(lat) || !isFinite(lon) || Math.abs(lat) > 90 || Math.abs(lon) > 180) return null;
+
+    const time = point.timestamp ? new Date(point.timestamp) : null;
+    const waypoint = {
+        name: point.name || `Imported waypoint ${index + 1}`,
+        description: String(point.description || '').trim(),
+        category: WAYPOINT_CATEGORIES[point.category] ? point.category : 'general',
+        lat: lat,
+        lon: lon,
+        dms: { lat: decimalToDMS(lat, 'lat'), lon: decimalToDMS(lon, 'lon') },
+        timestamp: time && !isNaN(time.getTime()) ? time.toISOString() : new Date().toISOString()
+    };
+    if (typeof point.ele === 'number' && isFinite(point.ele)) waypoint.ele = point.ele;
+    return waypoint;
+}
+
+function isDuplicateWaypoint(waypoint, existing) {
+    const name = waypoint.name.trim().toLowerCase();
+    return existing.some(other => other.name.trim().toLowerCase() === name &&
+        haversineDistance(waypoint.lat, waypoint.lon, other.lat, other.lon) <= WAYPOINT_TRANSFER_SETTINGS.duplicateRadius);
+}
+
+async function readWaypointFile(file) {
+    const extension = file.name.toLowerCase().split('.').pop();
+    if (extension === 'csv') return parseWaypointsCSV(await file.text());
+
+    const format = getUploadFormat(file.name);
+    if (!format) throw new Error('Unsupported file type. Use GPX, KML, KMZ, GeoJSON or CSV.');
+    const { geojson } = await convertUploadToGeoJSON(file, format);
+    return waypointsFromGeoJSON(geojson);
+}
+
+async function importWaypointFile(file) {
+    const status = document.getElementById('waypoint-import-status');
+    if (status) status.textContent = `Importing ${file.name}...`;
+
+    try {
+        const points = await readWaypointFile(file);
+        const existing = await db.waypoints.toArray();
+        const toAdd = [];
+        let duplicates = 0;
+        let invalid = 0;
+
+        points.forEach((point, index) => {
+            const waypoint = normalizeImportedWaypoint(point, index);
+            if (!waypoint) {
+                invalid++;
+            } else if (isDuplicateWaypoint(waypoint, existing) || isDuplicateWaypoint(waypoint, toAdd)) {
+                duplicates++;
+            } else {
+                toAdd.push(waypoint);
+            }
+        });
+
+        if (toAdd.length > 0) await db.waypoints.bulkAdd(toAdd);
+        const parts = [`Imported ${toAdd.length} waypoint${toAdd.length === 1 ? '' : 's'} from ${file.name}`];
+        if (duplicates > 0) parts.push(`${duplicates} already saved`);
+        if (invalid > 0) parts.push(`${invalid} without a valid position`);
+        const message = points.length === 0 ? `No waypoints found in ${file.name}.` : `${parts.join(', ')}.`;
+        if (status) status.textContent = message;
+        console.log(`[WaypointTransfer] ${message}`);
+        if (toAdd.length > 0) loadAndDisplaySavedWaypoints();
+    } catch (error) {
+        console.error('[WaypointTransfer] Error importing waypoints:', error);
+        if (status) status.textContent = `Error importing ${file.name}: ${error.message}`;
+    }
+}
+
+document.addEventListener('DOMContentLoaded', () => {
+    const formatSelect = document.getElementById('waypoint-export-format');
+    if (formatSelect) {
+        formatSelect.innerHTML = Object.keys(WAYPOINT_EXPORT_FORMATS)
+            .map(key => `<option value="${key}">${WAYPOINT_EXPORT_FORMATS[key].label}</option>`)
+            .join('');
+    }
+    const selectAll = document.getElementById('waypoint-select-all');
+    if (selectAll) selectAll.addEventListener('change', event => setAllWaypointsSelected(event.target.checked));
+    const exportButton = document.getElementById('waypoint-bulk-export-btn');
+    if (exportButton) exportButton.addEventListener('click', exportSelectedWaypoints);
+    const deleteButton = document.getElementById('waypoint-bulk-delete-btn');
+    if (deleteButton) deleteButton.addEventListener('click', deleteSelectedWaypoints);
+
+    const importInput = document.getElementById('waypoint-import-input');
+    if (importInput) {
+        importInput.addEventListener('change', async event => {
+            const files = Array.from(event.target.files || []);
+            for (const file of files) {
+                await importWaypointFile(file);
+            }
+            importInput.value = '';
+        });
+    }
+    updateWaypointBulkActions();
+});
+
+console.log('[WaypointTransfer] waypoint_transfer.js loaded.');
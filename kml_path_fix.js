@@ -70,45 +70,37 @@ function getBaseUrl() {
 // Store the original fetch function
 const originalFetch = window.fetch;
 
+// Normalized kml_normalized/ URL for an official KML request, or null if the URL is not one
+function getNormalizedKmlUrl(url) {
+  if (typeof url !== 'string' || !url.includes('.kml')) return null;
+
+  // Try to match trail ID patterns in the URL
+  for (const id in kmlFilenameMap) {
+    if (url.toLowerCase().includes(id)) {
+      return `${getBaseUrl()}kml_normalized/${kmlFilenameMap[id]}`;
+    }
+  }
+
+  // If we couldn't identify the trail, try a more generic approach
+  if (url.includes('/kml/')) {
+    // Extract just the filename from the path
+    const urlParts = url.split('/');
+    const filename = urlParts[urlParts.length - 1];
+
+    // Remove spaces and special characters to create a normalized version
+    const normalizedFilename = filename.replace(/\s+/g, '');
+    return `${getBaseUrl()}kml_normalized/${normalizedFilename}`;
+  }
+  return null;
+}
+
 // Override the fetch function to intercept KML file requests
 window.fetch = function(url, options) {
-  // Check if this is a KML file request
-  if (typeof url === 'string' && url.includes('.kml')) {
+  const normalizedUrl = getNormalizedKmlUrl(url);
+  if (normalizedUrl) {
     console.log(`[KML Direct Override] Intercepted fetch for: ${url}`);
-    
-    // Extract the trail ID from the URL if possible
-    let trailId = null;
-    
-    // Try to match trail ID patterns in the URL
-    for (const id in kmlFilenameMap) {
-      if (url.toLowerCase().includes(id)) {
-        trailId = id;
-        break;
-      }
-    }
-    
-    // If we found a trail ID, use the normalized filename
-    if (trailId && kmlFilenameMap[trailId]) {
-      const baseUrl = getBaseUrl();
-      const normalizedUrl = `${baseUrl}kml_normalized/${kmlFilenameMap[trailId]}`;
-      console.log(`[KML Direct Override] Redirecting to normalized URL: ${normalizedUrl}`);
-      return originalFetch(normalizedUrl, options);
-    }
-    
-    // If we couldn't identify the trail, try a more generic approach
-    if (url.includes('/kml/')) {
-      // Extract just the filename from the path
-      const urlParts = url.split('/');
-      const filename = urlParts[urlParts.length - 1];
-      
-      // Remove spaces and special characters to create a normalized version
-      const normalizedFilename = filename.replace(/\s+/g, '');
-      
-      const baseUrl = getBaseUrl();
-      const normalizedUrl = `${baseUrl}kml_normalized/${normalizedFilename}`;
-      console.log(`[KML Direct Override] Generic redirect to: ${normalizedUrl}`);
-      return originalFetch(normalizedUrl, options);
-    }
+    console.log(`[KML Direct Override] Redirecting to normalized URL: ${normalizedUrl}`);
+    return originalFetch(normalizedUrl, options);
   }
   
   // For all other requests, use the original fetch
@@ -198,25 +190,18 @@ window.loadTrail = async function(trailId) {
 };
 
 // Also fix the service worker registration path
+// (existing registrations are kept: unregistering them would discard a waiting update)
 if ('serviceWorker' in navigator) {
   const baseUrl = getBaseUrl();
   
-  // Unregister any existing service worker
-  navigator.serviceWorker.getRegistrations().then(registrations => {
-    for (let registration of registrations) {
-      registration.unregister();
-      console.log('[KML Direct Override] Unregistered existing service worker');
-    }
-    
-    // Register the service worker with the correct path
-    navigator.serviceWorker.register(`${baseUrl}service-worker.js`)
-      .then(registration => {
-        console.log('[KML Direct Override] Service Worker registered with scope:', registration.scope);
-      })
-      .catch(error => {
-        console.error('[KML Direct Override] Service Worker registration failed:', error);
-      });
-  });
+  // Register the service worker with the correct path
+  navigator.serviceWorker.register(`${baseUrl}service-worker.js`)
+    .then(registration => {
+      console.log('[KML Direct Override] Service Worker registered with scope:', registration.scope);
+    })
+    .catch(error => {
+      console.error('[KML Direct Override] Service Worker registration failed:', error);
+    });
 }
 
 console.log('[KML Direct Override] Direct KML path override loaded and applied with marker removal');
@@ -0,0 +1,508 @@
+// Generated by tools/generate_precache_manifest.js. Do not edit by hand; re-run the script instead.
+self.PRECACHE_VERSION = '6ffd9eabba52';
+self.PRECACHE_MANIFEST = [
+  {
+    "url": "./",
+    "revision": "63f057db275c5cdd"
+  },
+  {
+    "url": "assets/icons/icon-128x128.png",
+    "revision": "4da27702e1843369"
+  },
+  {
+    "url": "assets/icons/icon-144x144.png",
+    "revision": "525b803676de69ed"
+  },
+  {
+    "url": "assets/icons/icon-192x192.png",
+    "revision": "37c93e943c1edaf6"
+  },
+  {
+    "url": "assets/icons/icon-512x512.png",
+    "revision": "74351c2485e47b90"
+  },
+  {
+    "url": "assets/icons/icon-72x72.png",
+    "revision": "fc970eb79205337d"
+  },
+  {
+    "url": "assets/icons/icon-96x96.png",
+    "revision": "187f1ec973a3d22d"
+  },
+  {
+    "url": "assets/icons/maskable-icon-192x192.png",
+    "revision": "ee4c432adc8ae583"
+  },
+  {
+    "url": "assets/icons/maskable-icon-512x512.png",
+    "revision": "ff3c8ef4127a62d9"
+  },
+  {
+    "url": "assets/queens_river_logo.png",
+    "revision": "92abe3d5a4907e06"
+  },
+  {
+    "url": "css/button-height-fix.css",
+    "revision": "fcfd12ae965af9af"
+  },
+  {
+    "url": "css/first-aid.css",
+    "revision": "a6b0d6c5f3fd9f71"
+  },
+  {
+    "url": "css/inline-styles-cleanup.css",
+    "revision": "a10c702ba318cf60"
+  },
+  {
+    "url": "css/map_layer_styles.css",
+    "revision": "8fdc89f907896766"
+  },
+  {
+    "url": "css/styles.css",
+    "revision": "0547a139e315cbbe"
+  },
+  {
+    "url": "css/vendor/leaflet.css",
+    "revision": "a470b877d6fe341e"
+  },
+  {
+    "url": "css/vendor/litepicker.min.css",
+    "revision": "23bee637235a1927"
+  },
+  {
+    "url": "css/vendor/splide.min.css",
+    "revision": "e6e2a25c4c1b6908"
+  },
+  {
+    "url": "favicon.ico",
+    "revision": "acebc399cdca4d07"
+  },
+  {
+    "url": "img/directions_banner.jpg",
+    "revision": "4906cc31d79fa16d"
+  },
+  {
+    "url": "img/elevation/2 day trail - day 1 elevation.jpg",
+    "revision": "c33b62f1aebf0e2e"
+  },
+  {
+    "url": "img/elevation/2 day trail - day 2 elevation.jpg",
+    "revision": "bbec73fe7886d411"
+  },
+  {
+    "url": "img/elevation/3 day trail - day 1 elevation.jpg",
+    "revision": "132de3683b3f1f21"
+  },
+  {
+    "url": "img/elevation/3 day trail - day 2 elevation.jpg",
+    "revision": "e4c45bd153c6fa39"
+  },
+  {
+    "url": "img/elevation/3 day trail - day 3 elevation.jpg",
+    "revision": "7db968d92272b2bd"
+  },
+  {
+    "url": "img/elevation/4 day trail - day 1 elevation.jpg",
+    "revision": "7db968d92272b2bd"
+  },
+  {
+    "url": "img/elevation/4 day trail - day 2 elevation.jpg",
+    "revision": "6052ac9680ca9c6f"
+  },
+  {
+    "url": "img/elevation/4 day trail - day 3 elevation.jpg",
+    "revision": "fa7817d3df2b50f6"
+  },
+  {
+    "url": "img/elevation/4 day trail - day 4 elevation.jpg",
+    "revision": "ec46583ff707c51b"
+  },
+  {
+    "url": "img/elevation/5 day trail - day 1 elevation.jpg",
+    "revision": "a72e22d5d5c8e70f"
+  },
+  {
+    "url": "img/elevation/5 day trail - day 2 elevation.jpg",
+    "revision": "9f3674d8315d07f8"
+  },
+  {
+    "url": "img/elevation/5 day trail - day 3 elevation.jpg",
+    "revision": "f056cf9587abea22"
+  },
+  {
+    "url": "img/elevation/5 day trail - day 4 elevation.jpg",
+    "revision": "6d5ebf99fca2a03b"
+  },
+  {
+    "url": "img/elevation/5 day trail - day 5 elevation.jpg",
+    "revision": "7d18e505a1a64b3f"
+  },
+  {
+    "url": "img/elevation/6 day trail - day 1 elevation.jpg",
+    "revision": "f342e1a18b52bdbd"
+  },
+  {
+    "url": "img/elevation/6 day trail - day 2 elevation.jpg",
+    "revision": "402ef2700db57bb3"
+  },
+  {
+    "url": "img/elevation/6 day trail - day 3 elevation.jpg",
+    "revision": "f4a7414134055174"
+  },
+  {
+    "url": "img/elevation/6 day trail - day 4 elevation.jpg",
+    "revision": "60e425e2cf86fb76"
+  },
+  {
+    "url": "img/elevation/6 day trail - day 5 elevation.jpg",
+    "revision": "42ffd9e0df95af8b"
+  },
+  {
+    "url": "img/elevation/6 day trail - day 6 elevation.jpg",
+    "revision": "9c6d6c7a0139099c"
+  },
+  {
+    "url": "img/elevation/Cupids Trail Elevation.jpg",
+    "revision": "769f5159976afb86"
+  },
+  {
+    "url": "img/elevation/Devils Knuckles Trail Elevation.jpg",
+    "revision": "bbfc0fd325baf112"
+  },
+  {
+    "url": "img/elevation/Matumi Lane Trail Elevation.jpg",
+    "revision": "d17b5226175b9815"
+  },
+  {
+    "url": "img/elevation/Mountain Bike Trail Elevations.jpg",
+    "revision": "c976b6b6375101e0"
+  },
+  {
+    "url": "img/elevation/Ou Kraal Trail Elevation.jpg",
+    "revision": "2e8d01d16b8f81ed"
+  },
+  {
+    "url": "img/elevation/Ram Pump Trail Elevation.jpg",
+    "revision": "17baa0c3e2d98470"
+  },
+  {
+    "url": "index.html",
+    "revision": "63f057db275c5cdd"
+  },
+  {
+    "url": "js/app_update.js",
+    "revision": "271bada379faa301"
+  },
+  {
+    "url": "js/app.js",
+    "revision": "606e1dbd0b8df4df"
+  },
+  {
+    "url": "js/booking.js",
+    "revision": "9af8898a60306a6d"
+  },
+  {
+    "url": "js/coordinate_formats.js",
+    "revision": "89733a2db78d84f6"
+  },
+  {
+    "url": "js/custom-kml-functions.js",
+    "revision": "863d1178fde33bd9"
+  },
+  {
+    "url": "js/elevation_profile.js",
+    "revision": "a3e1bd31ad833d0e"
+  },
+  {
+    "url": "js/enhanced-mobile-experience.js",
+    "revision": "952ce1c7a46a0fa9"
+  },
+  {
+    "url": "js/first-aid.js",
+    "revision": "a88237deaf8a569c"
+  },
+  {
+    "url": "js/follow_mode.js",
+    "revision": "4b043b4116805ae7"
+  },
+  {
+    "url": "js/geo_utils.js",
+    "revision": "dde0ad168b87151c"
+  },
+  {
+    "url": "js/gps_tracking.js",
+    "revision": "514707959766bd4d"
+  },
+  {
+    "url": "js/gpx_export.js",
+    "revision": "76d75c6a2c1980bc"
+  },
+  {
+    "url": "js/kml_management.js",
+    "revision": "b33dee5e258fe56c"
+  },
+  {
+    "url": "js/lazy-loading.js",
+    "revision": "e06c6a54c52b2741"
+  },
+  {
+    "url": "js/live_tracking.js",
+    "revision": "598593254152a4ad"
+  },
+  {
+    "url": "js/location_heading.js",
+    "revision": "3e37e572182f28cb"
+  },
+  {
+    "url": "js/location_service.js",
+    "revision": "af3f3e0d8539acf2"
+  },
+  {
+    "url": "js/map_layer_controls.js",
+    "revision": "e215e072f3a2a86f"
+  },
+  {
+    "url": "js/map.js",
+    "revision": "6d568a51d1dd536b"
+  },
+  {
+    "url": "js/off_route.js",
+    "revision": "03e3adad81954a75"
+  },
+  {
+    "url": "js/offline_bundle.js",
+    "revision": "86e9376497e0f6c3"
+  },
+  {
+    "url": "js/offline_map_manager.js",
+    "revision": "6f009b46f5772999"
+  },
+  {
+    "url": "js/offline_tiles.js",
+    "revision": "39d3d29fd8103525"
+  },
+  {
+    "url": "js/performance-optimizer.js",
+    "revision": "d0458d105b22520e"
+  },
+  {
+    "url": "js/reviews.js",
+    "revision": "0dc17e3b8ba0f814"
+  },
+  {
+    "url": "js/toast-notifications.js",
+    "revision": "820b8ebf2b838150"
+  },
+  {
+    "url": "js/track_comparison.js",
+    "revision": "8c39fe9456541b80"
+  },
+  {
+    "url": "js/track_replay.js",
+    "revision": "b3ed239b69d2d17f"
+  },
+  {
+    "url": "js/trail_pois.js",
+    "revision": "cd14b6dbab8f32ef"
+  },
+  {
+    "url": "js/trail_progress.js",
+    "revision": "ad3b6833f82c39ad"
+  },
+  {
+    "url": "js/trails.js",
+    "revision": "b81993a005f01157"
+  },
+  {
+    "url": "js/trip_stats.js",
+    "revision": "23e8c60e81d0cd83"
+  },
+  {
+    "url": "js/vendor/dexie.js",
+    "revision": "33a4ee73f0b7ad62"
+  },
+  {
+    "url": "js/vendor/leaflet-gpx.min.js",
+    "revision": "b3f11de1d6b81b3d"
+  },
+  {
+    "url": "js/vendor/leaflet.dexie.min.js",
+    "revision": "1b49709d871c14c4"
+  },
+  {
+    "url": "js/vendor/leaflet.js",
+    "revision": "db49d009c841f5ca"
+  },
+  {
+    "url": "js/vendor/litepicker.min.js",
+    "revision": "3824e27b2f9a83d4"
+  },
+  {
+    "url": "js/vendor/splide.min.js",
+    "revision": "159b16ec7d95e57f"
+  },
+  {
+    "url": "js/vendor/togeojson.umd.js",
+    "revision": "9d383042e2649048"
+  },
+  {
+    "url": "js/waypoint_editor.js",
+    "revision": "22e4615ece1307bb"
+  },
+  {
+    "url": "js/waypoint_logic.js",
+    "revision": "18ff17c45dc195d7"
+  },
+  {
+    "url": "js/waypoint_navigation.js",
+    "revision": "854971490a42ec3d"
+  },
+  {
+    "url": "js/waypoint_placement.js",
+    "revision": "a79d7b109b146609"
+  },
+  {
+    "url": "js/waypoint_transfer.js",
+    "revision": "ac05282530156b39"
+  },
+  {
+    "url": "js/weather_offline.js",
+    "revision": "7d7bd37c5209ef0d"
+  },
+  {
+    "url": "js/weather.js",
+    "revision": "64eab59270061e8a"
+  },
+  {
+    "url": "kml_normalized/2-DayTrail-19.2km.kml",
+    "revision": "56d11a615882074a"
+  },
+  {
+    "url": "kml_normalized/2DayTrail,day1-13km.kml",
+    "revision": "7847c39c1f8b5ddf"
+  },
+  {
+    "url": "kml_normalized/2DayTrail,day2-6.2km.kml",
+    "revision": "ef14086df7b4efc6"
+  },
+  {
+    "url": "kml_normalized/3-DayTrail-39.5km.kml",
+    "revision": "982a90f2489b95e8"
+  },
+  {
+    "url": "kml_normalized/3DayTrail,day1-10.9km.kml",
+    "revision": "2110f7e101069071"
+  },
+  {
+    "url": "kml_normalized/3DayTrail,day2-13km.kml",
+    "revision": "ccea200c7de7c974"
+  },
+  {
+    "url": "kml_normalized/3DayTrail,day3-15.6km.kml",
+    "revision": "6251bad1ee97a9de"
+  },
+  {
+    "url": "kml_normalized/4-DayTrail-49km.kml",
+    "revision": "0ff70f11f9b69045"
+  },
+  {
+    "url": "kml_normalized/4DayTrail,day1-15.6km.kml",
+    "revision": "96770aa411f3b6f8"
+  },
+  {
+    "url": "kml_normalized/4DayTrail,day2-6.2km.kml",
+    "revision": "7496563f6fa913a5"
+  },
+  {
+    "url": "kml_normalized/4DayTrail,day3-13km.kml",
+    "revision": "00681139190f6068"
+  },
+  {
+    "url": "kml_normalized/4DayTrail,day4-14.2km.kml",
+    "revision": "a6a786e0ed72452f"
+  },
+  {
+    "url": "kml_normalized/5-DayTrail-53.5km.kml",
+    "revision": "2d05a236a4145c57"
+  },
+  {
+    "url": "kml_normalized/5DayTrail,day1-10.9km.kml",
+    "revision": "88d69424e25f00c5"
+  },
+  {
+    "url": "kml_normalized/5DayTrail,day2-12.5km.kml",
+    "revision": "da38226a90d6d000"
+  },
+  {
+    "url": "kml_normalized/5DayTrail,day3-13km.kml",
+    "revision": "499b2504df5a36e7"
+  },
+  {
+    "url": "kml_normalized/5DayTrail,day4-6.2km.kml",
+    "revision": "b65fd007c8a86e97"
+  },
+  {
+    "url": "kml_normalized/5DayTrail,day5-10.9km.kml",
+    "revision": "9e95b6916b533326"
+  },
+  {
+    "url": "kml_normalized/6-DayTrail-64.7km.kml",
+    "revision": "b5c2b7199197306d"
+  },
+  {
+    "url": "kml_normalized/6DayTrail,day1-10.9km.kml",
+    "revision": "13b8917bd6655b0b"
+  },
+  {
+    "url": "kml_normalized/6DayTrail,day2-12.5km.kml",
+    "revision": "df7a6cc72222b98b"
+  },
+  {
+    "url": "kml_normalized/6DayTrail,day3-13km.kml",
+    "revision": "ec93587012770d75"
+  },
+  {
+    "url": "kml_normalized/6DayTrail,day4-6.2km.kml",
+    "revision": "412e38c1507f0c1a"
+  },
+  {
+    "url": "kml_normalized/6DayTrail,day5-6.5km.kml",
+    "revision": "cfe02e3af74e4352"
+  },
+  {
+    "url": "kml_normalized/6DayTrail,day6-15.6km.kml",
+    "revision": "4e56a145de6a655d"
+  },
+  {
+    "url": "kml_normalized/CupidsFallsTrail-2.8km.kml",
+    "revision": "15877fc100634270"
+  },
+  {
+    "url": "kml_normalized/DevilsKnucklesTrail-10.9km.kml",
+    "revision": "15c9355ec30c2a53"
+  },
+  {
+    "url": "kml_normalized/matumi.kml",
+    "revision": "140e1b43bfa95e01"
+  },
+  {
+    "url": "kml_normalized/MTBTrail1-29.9km.kml",
+    "revision": "3380981d18599efd"
+  },
+  {
+    "url": "kml_normalized/oukraal.kml",
+    "revision": "bdec469ae58978a6"
+  },
+  {
+    "url": "kml_normalized/RamPumpTrail-1.6km.kml",
+    "revision": "054dc5a0a26210f1"
+  },
+  {
+    "url": "kml_path_fix.js",
+    "revision": "450a296dee66b5bf"
+  },
+  {
+    "url": "manifest.json",
+    "revision": "5f36f3b62dee258b"
+  }
+];
@@ -1,129 +1,231 @@
 // Enhanced service worker for Queen Rose Hiking Trail App
-const CACHE_NAME = 'queen-rose-hiking-trail-v4';
+
+// PRECACHE_VERSION and PRECACHE_MANIFEST ([{ url, revision }]) are generated from the app's
+// files and trailsData by tools/generate_precache_manifest.js
+importScripts('./precache-manifest.js');
+
+const CACHE_PREFIX = 'queen-rose-precache-';
+const CACHE_NAME = `${CACHE_PREFIX}${self.PRECACHE_VERSION}`;
+// Trail files saved by "Make Offline-Ready" (js/offline_bundle.js); must survive cache updates
+const OFFLINE_BUNDLE_CACHE = 'queen-rose-offline-bundle';
+// Map tiles cached while browsing; kept across updates and trimmed to TILE_CACHE_SETTINGS.maxBytes
+const TILE_CACHE = 'queen-rose-tiles';
+// Bookkeeping entries stored alongside the precached files (the report is kept for troubleshooting)
+const REVISIONS_KEY = './__precache-revisions.json';
+const REPORT_KEY = './__precache-report.json';
 
 // Function to get the base path for the current deployment
 function getBasePath() {
   return self.registration.scope;
 }
 
-// Core app files that must be cached for offline functionality
-const urlsToCache = [
-  './',
-  './index.html',
-  './css/styles.css',
-  './css/first-aid.css',
-  './css/vendor/leaflet.css',
-  './css/vendor/litepicker.min.css',
-  './css/vendor/splide.min.css',
-  './js/app.js',
-  './js/map.js',
-  './js/trails.js',
-  './js/gps_tracking.js',
-  './js/waypoint_logic.js',
-  './js/kml_management.js',
-  './js/booking.js',
-  './js/weather.js',
-  './js/weather_offline.js',
-  './js/reviews.js',
-  './js/custom-kml-functions.js',
-  './js/first-aid.js',
-  './js/vendor/leaflet.js',
-  './js/vendor/leaflet-gpx.min.js',
-  './js/vendor/togeojson.umd.js',
-  './js/vendor/dexie.js',
-  './js/vendor/leaflet.dexie.min.js',
-  './js/vendor/litepicker.min.js',
-  './js/vendor/splide.min.js',
-  './assets/queens_river_logo.png',
-  './assets/hiker_waypoint_icon_yellow.png',
-  './manifest.json'
-];
+// Revisions and cache of the newest earlier precache, so unchanged files can be copied instead of re-fetched
+async function getPreviousPrecache() {
+  const keys = await caches.keys();
+  const previousKeys = keys.filter(key => key.startsWith(CACHE_PREFIX) && key !== CACHE_NAME);
+  for (const key of previousKeys.reverse()) {
+    const cache = await caches.open(key);
+    const response = await cache.match(REVISIONS_KEY);
+    if (response) return { cache: cache, revisions: await response.json() };
+  }
+  return { cache: null, revisions: {} };
+}
 
-// Add KML files to cache
-const kmlFiles = [
-  './kml/2 - Day Trail - 19.2 km.kml',
-  './kml/2 Day Trail, day 1 - 13 km.kml',
-  './kml/2 Day Trail, day 2 - 6.2 km.kml',
-  './kml/3 - Day Trail - 39.5 km.kml',
-  './kml/3 Day Trail, day 1 - 10.9 km.kml',
-  './kml/3 Day Trail, day 2 - 13 km.kml',
-  './kml/3 Day Trail, day 3 - 15.6 km.kml',
-  './kml/4 - Day Trail - 49 km.kml',
-  './kml/4 Day Trail, day 1 - 15.6 km.kml',
-  './kml/4 Day Trail, day 2 - 6.2 km.kml',
-  './kml/4 Day Trail, day 3 - 13 km.kml',
-  './kml/4 Day Trail, day 4- 14.2 km.kml',
-  './kml/5 - Day Trail - 53.5 km.kml',
-  './kml/5 Day Trail, day 1 - 10.9 km.kml',
-  './kml/5 Day Trail, day 2 - 12.5 km.kml',
-  './kml/5 Day Trail, day 3 - 13 km.kml',
-  './kml/5 Day Trail, day 4 - 6.2 km.kml',
-  './kml/5 Day Trail, day 5 - 10.9 km.kml',
-  './kml/6 - Day Trail - 64.7 km.kml',
-  './kml/6 Day Trail, day 1 - 10.9 km.kml',
-  './kml/6 Day Trail, day 2 - 12.5 km.kml',
-  './kml/6 Day Trail, day 3 - 13 km.kml',
-  './kml/6 Day Trail, day 4 - 6.2 km.kml',
-  './kml/6 Day Trail, day 5 - 6.5 km.kml',
-  './kml/6 Day Trail, day 6 - 15.6 km.kml',
-  './kml/Cupids Falls Trail - 2.8 km.kml',
-  './kml/Devils Knuckles Trail - 10.9 km.kml',
-  './kml/MTB Trail 1 - 29.9 km.kml',
-  './kml/Matumi Trail - 6.2 km.kml',
-  './kml/Oukraal Trail - 12.5 km.kml',
-  './kml/Ram PumpTrail - 1.6 km.kml'
-];
+async function precacheEntry(cache, previous, entry) {
+  if (previous.cache && previous.revisions[entry.url] === entry.revision) {
+    const cached = await previous.cache.match(entry.url);
+    if (cached) {
+      await cache.put(entry.url, cached);
+      return 'reused';
+    }
+  }
+  // Bypass the HTTP cache so a changed file is never stored with stale content
+  const response = await fetch(new Request(entry.url, { cache: 'reload' }));
+  if (!response.ok) throw new Error(`HTTP ${response.status}`);
+  await cache.put(entry.url, response);
+  return 'fetched';
+}
+
+async function precacheAll() {
+  const cache = await caches.open(CACHE_NAME);
+  const previous = await getPreviousPrecache();
+  const report = { version: self.PRECACHE_VERSION, time: Date.now(), fetched: 0, reused: 0, failed: [] };
+  const revisions = {};
 
-// Add elevation images to cache
-const elevationImages = [
-  './img/elevation/3 day trail - day 1 elevation.jpg',
-  './img/elevation/3 day trail - day 2 elevation.jpg',
-  './img/elevation/3 day trail - day 3 elevation.jpg',
-  './img/elevation/4 day trail - day 1 elevation.jpg',
-  './img/elevation/4 day trail - day 2 elevation.jpg',
-  './img/elevation/4 day trail - day 3 elevation.jpg',
-  './img/elevation/4 day trail - day 4 elevation.jpg',
-  './img/elevation/5 day trail - day 1 elevation.jpg',
-  './img/elevation/5 day trail - day 2 elevation.jpg',
-  './img/elevation/5 day trail - day 3 elevation.jpg',
-  './img/elevation/5 day trail - day 4 elevation.jpg',
-  './img/elevation/5 day trail - day 5 elevation.jpg',
-  './img/elevation/6 day trail - day 1 elevation.jpg',
-  './img/elevation/6 day trail - day 2 elevation.jpg',
-  './img/elevation/6 day trail - day 3 elevation.jpg',
-  './img/elevation/6 day trail - day 4 elevation.jpg',
-  './img/elevation/6 day trail - day 5 elevation.jpg',
-  './img/elevation/6 day trail - day 6 elevation.jpg',
-  './img/elevation/Cupids Trail Elevation.jpg',
-  './img/elevation/Devils Knuckles Trail Elevation.jpg',
-  './img/elevation/Matumi Lane Trail Elevation.jpg',
-  './img/elevation/Mountain Bike Trail Elevations.jpg',
-  './img/elevation/Ou Kraal Trail Elevation.jpg',
-  './img/elevation/Ram Pump Trail Elevation.jpg'
+  const results = await Promise.allSettled(self.PRECACHE_MANIFEST.map(entry => precacheEntry(cache, previous, entry)));
+  results.forEach((result, index) => {
+    const entry = self.PRECACHE_MANIFEST[index];
+    if (result.status === 'fulfilled') {
+      report[result.value]++;
+      revisions[entry.url] = entry.revision;
+    } else {
+      console.warn('[Service Worker] Failed to cache:', entry.url, result.reason);
+      report.failed.push({ url: entry.url, error: String(result.reason && result.reason.message || result.reason) });
+    }
+  });
+
+  await cache.put(REVISIONS_KEY, new Response(JSON.stringify(revisions), { headers: { 'Content-Type': 'application/json' } }));
+  await cache.put(REPORT_KEY, new Response(JSON.stringify(report), { headers: { 'Content-Type': 'application/json' } }));
+  console.log(`[Service Worker] Precache ${report.version}: ${report.fetched} fetched, ${report.reused} unchanged, ${report.failed.length} failed`);
+  return report;
+}
+
+// Tile providers used by the map layers. revalidateAfter: a cached tile older than this is served
+// and refreshed in the background (stale-while-revalidate); cors: the provider sends CORS headers,
+// so the real tile size is known for the byte budget.
+const TILE_PROVIDERS = [
+  { name: 'google', pattern: /^https:\/\/mt\d\.google\.com\/vt\//, revalidateAfter: 30 * 24 * 60 * 60 * 1000, cors: true },
+  { name: 'esri', pattern: /^https:\/\/server\.arcgisonline\.com\/ArcGIS\/rest\/services\/.+\/tile\//, revalidateAfter: 30 * 24 * 60 * 60 * 1000, cors: true },
+  { name: 'osm', pattern: /^https:\/\/[a-c]?\.?tile\.openstreetmap\.org\//, revalidateAfter: 7 * 24 * 60 * 60 * 1000, cors: true },
+  { name: 'mapbox', pattern: /^https:\/\/api\.mapbox\.com\//, revalidateAfter: 7 * 24 * 60 * 60 * 1000, cors: true }
 ];
 
-// Combine core resources to cache (excluding problematic files)
-const allResourcesToCache = [...urlsToCache];
+const TILE_CACHE_SETTINGS = {
+  maxBytes: 150 * 1024 * 1024, // Byte budget for the tile cache; least recently used tiles go first
+  evictTo: 0.9, // Trim to this fraction of the budget so eviction doesn't run on every tile
+  opaqueTileBytes: 25 * 1024, // Assumed size of tiles whose size can't be read
+  indexSaveDelay: 5000
+};
+
+const TILE_INDEX_KEY = './__tile-index.json';
+
+// 1x1 transparent PNG shown in place of a tile that is missing offline. It is sent with a 504 status
+// and PLACEHOLDER_TILE_HEADER so nothing that checks the response mistakes it for a real tile.
+const PLACEHOLDER_TILE = Uint8Array.from(atob('iVBORw0KGgoAAAANSUhEUgAAAAEAAAABCAYAAAAfFcSJAAAADUlEQVR42mNkYPhfDwAChwGA60e6kgAAAABJRU5ErkJggg=='), c => c.charCodeAt(0));
+
+const PLACEHOLDER_TILE_HEADER = 'X-Placeholder-Tile';
+
+let tileIndex = null; // { url: { size, fetched, used } }, loaded from the tile cache on first use
+let tileIndexBytes = 0; // Running total of the sizes in tileIndex
+let tileIndexSaveTimer = null;
+
+function getTileProvider(url) {
+  return TILE_PROVIDERS.find(provider => provider.pattern.test(url)) || null;
+}
+
+async function loadTileIndex() {
+  if (tileIndex) return tileIndex;
+  const cache = await caches.open(TILE_CACHE);
+  const response = await cache.match(TILE_INDEX_KEY);
+  tileIndex = response ? await response.json() : {};
+
+  // Tiles cached after the index was last saved: unknown age, so they are evicted first
+  const keys = await cache.keys();
+  keys.forEach(request => {
+    if (!request.url.endsWith('__tile-index.json') && !tileIndex[request.url]) {
+      tileIndex[request.url] = { size: TILE_CACHE_SETTINGS.opaqueTileBytes, fetched: 0, used: 0 };
+    }
+  });
+  tileIndexBytes = Object.keys(tileIndex).reduce((sum, url) => sum + tileIndex[url].size, 0);
+  return tileIndex;
+}
+
+function scheduleTileIndexSave() {
+  clearTimeout(tileIndexSaveTimer);
+  tileIndexSaveTimer = setTimeout(async () => {
+    const cache = await caches.open(TILE_CACHE);
+    await cache.put(TILE_INDEX_KEY, new Response(JSON.stringify(tileIndex), { headers: { 'Content-Type': 'application/json' } }));
+  }, TILE_CACHE_SETTINGS.indexSaveDelay);
+}
+
+function setTileIndexEntry(url, entry) {
+  if (tileIndex[url]) tileIndexBytes -= tileIndex[url].size;
+  tileIndex[url] = entry;
+  tileIndexBytes += entry.size;
+}
+
+// Cheap while under budget; the index is only sorted when tiles actually have to go
+async function evictTiles(cache) {
+  if (tileIndexBytes <= TILE_CACHE_SETTINGS.maxBytes) return;
+
+  const target = TILE_CACHE_SETTINGS.maxBytes * TILE_CACHE_SETTINGS.evictTo;
+  const urls = Object.keys(tileIndex).sort((a, b) => tileIndex[a].used - tileIndex[b].used);
+  let evicted = 0;
+  for (const url of urls) {
+    if (tileIndexBytes <= target) break;
+    tileIndexBytes -= tileIndex[url].size;
+    delete tileIndex[url];
+    await cache.delete(url);
+    evicted++;
+  }
+  console.log(`[Service Worker] Evicted ${evicted} least recently used tiles`);
+}
+
+async function fetchAndCacheTile(request, provider) {
+  let response;
+  try {
+    response = provider.cors ? await fetch(request.url, { mode: 'cors', credentials: 'omit' }) : await fetch(request);
+  } catch (error) {
+    // The provider may not allow CORS after all; an opaque response still displays
+    response = await fetch(request);
+  }
+  if (!response || (response.type !== 'opaque' && !response.ok)) return response;
+
+  const cache = await caches.open(TILE_CACHE);
+  let size = TILE_CACHE_SETTINGS.opaqueTileBytes;
+  if (response.type !== 'opaque') {
+    size = (await response.clone().blob()).size;
+  }
+  await cache.put(request.url, response.clone());
+
+  await loadTileIndex();
+  const now = Date.now();
+  setTileIndexEntry(request.url, { size: size, fetched: now, used: now });
+  await evictTiles(cache);
+  scheduleTileIndexSave();
+  return response;
+}
+
+async function handleTileRequest(event, provider) {
+  const request = event.request;
+  const cache = await caches.open(TILE_CACHE);
+  const cached = await cache.match(request.url);
+
+  if (cached) {
+    const index = await loadTileIndex();
+    if (!index[request.url]) setTileIndexEntry(request.url, { size: TILE_CACHE_SETTINGS.opaqueTileBytes, fetched: 0, used: 0 });
+    const entry = index[request.url];
+    entry.used = Date.now();
+    scheduleTileIndexSave();
+    if (Date.now() - entry.fetched > provider.revalidateAfter && self.navigator.onLine !== false) {
+      event.waitUntil(fetchAndCacheTile(request, provider).catch(() => null));
+    }
+    return cached;
+  }
+
+  try {
+    const response = await fetchAndCacheTile(request, provider);
+    if (response && (response.ok || response.type === 'opaque')) return response;
+  } catch (error) {
+    console.log('[Service Worker] Tile not available offline:', request.url);
+  }
+  return new Response(PLACEHOLDER_TILE, {
+    status: 504,
+    statusText: 'Tile not available offline',
+    headers: { 'Content-Type': 'image/png', 'Cache-Control': 'no-store', [PLACEHOLDER_TILE_HEADER]: '1' }
+  });
+}
+
+// The current version's precache first: caches.match searches the oldest cache first, and the
+// offline bundle cache outlives updates, so older copies of app files there must not win
+async function matchCached(request) {
+  const cache = await caches.open(CACHE_NAME);
+  return (await cache.match(request)) || caches.match(request);
+}
+
+async function sendPrecacheReport(report) {
+  const clients = await self.clients.matchAll({ includeUncontrolled: true });
+  clients.forEach(client => client.postMessage({ type: 'PRECACHE_REPORT', report: report }));
+}
 
 self.addEventListener('install', event => {
   console.log('[Service Worker] Installing...');
   event.waitUntil(
-    caches.open(CACHE_NAME)
-      .then(cache => {
-        console.log('[Service Worker] Caching core resources');
-        // Cache files individually to avoid failures
-        return Promise.allSettled(
-          allResourcesToCache.map(url => 
-            cache.add(url).catch(err => {
-              console.warn('[Service Worker] Failed to cache:', url, err);
-              return null;
-            })
-          )
-        );
-      })
-      .then(() => {
+    precacheAll()
+      .then(report => {
+        // No skipWaiting here: an update waits until the page accepts it (js/app_update.js)
         console.log('[Service Worker] Installation complete');
-        return self.skipWaiting();
+        sendPrecacheReport(report);
       })
       .catch(err => {
         console.error('[Service Worker] Installation failed:', err);
@@ -136,7 +238,7 @@ self.addEventListener('activate', event => {
   event.waitUntil(
     caches.keys().then(keyList => {
       return Promise.all(keyList.map(key => {
-        if (key !== CACHE_NAME) {
+        if (key !== CACHE_NAME && key !== OFFLINE_BUNDLE_CACHE && key !== TILE_CACHE) {
           console.log('[Service Worker] Removing old cache', key);
           return caches.delete(key);
         }
@@ -149,6 +251,16 @@ self.addEventListener('activate', event => {
   );
 });
 
+self.addEventListener('message', event => {
+  if (!event.data) return;
+  if (event.data.type === 'SKIP_WAITING') {
+    console.log('[Service Worker] Update accepted, activating');
+    self.skipWaiting();
+  } else if (event.data.type === 'GET_VERSION') {
+    event.source.postMessage({ type: 'VERSION', version: self.PRECACHE_VERSION });
+  }
+});
+
 // Consolidated fetch handler for all requests
 self.addEventListener('fetch', event => {
   const url = new URL(event.request.url);
@@ -163,7 +275,7 @@ self.addEventListener('fetch', event => {
     
     event.respondWith(
       // Try cache first for navigation requests when offline
-      caches.match(event.request)
+      matchCached(event.request)
         .then(cachedResponse => {
           if (cachedResponse) {
             console.log('[Service Worker] Returning cached navigation response');
@@ -171,7 +283,7 @@ self.addEventListener('fetch', event => {
           }
           
           // If not in cache, try cached index.html
-          return caches.match('./index.html')
+          return matchCached('./index.html')
             .then(indexResponse => {
               if (indexResponse) {
                 console.log('[Service Worker] Returning cached index.html');
@@ -195,23 +307,19 @@ self.addEventListener('fetch', event => {
     return; // Exit early after handling navigation request
   }
   
-  // Special handling for map tiles
-  if (requestURL.includes('tile.openstreetmap.org') || 
-      requestURL.includes('api.mapbox.com')) {
-    
-    event.respondWith(
-      fetch(event.request)
-        .catch(() => {
-          console.log('[Service Worker] Fetch failed for map tile, trying cache');
-          return caches.match(event.request);
-        })
-    );
+  // Map tiles: dedicated tile cache, stale-while-revalidate, placeholder when offline.
+  // Only tiles the map displays (<img> requests) go through it; fetch() calls from the page are
+  // offline-area and bundle downloads that store tiles themselves, so they go straight to the network.
+  const tileProvider = event.request.method === 'GET' ? getTileProvider(requestURL) : null;
+  if (tileProvider) {
+    if (event.request.destination !== 'image') return;
+    event.respondWith(handleTileRequest(event, tileProvider));
     return; // Exit early after handling map tiles
   }
   
   // Default handling for all other requests (cache first, then network)
   event.respondWith(
-    caches.match(event.request)
+    matchCached(event.request)
       .then(cachedResponse => {
         // Return cached response if available
         if (cachedResponse) {
@@ -234,12 +342,8 @@ self.addEventListener('fetch', event => {
             // Cache the fetched resource
             caches.open(CACHE_NAME)
               .then(cache => {
-                // Don't cache map tiles from external sources to avoid excessive storage
-                if (!requestURL.includes('tile.openstreetmap.org') && 
-                    !requestURL.includes('api.mapbox.com')) {
-                  console.log('[Service Worker] Caching new resource:', requestURL);
-                  cache.put(event.request, responseToCache);
-                }
+                console.log('[Service Worker] Caching new resource:', requestURL);
+                cache.put(event.request, responseToCache);
               });
             
             return response;
@@ -252,4 +356,4 @@ self.addEventListener('fetch', event => {
   );
 });
 
-console.log('[Service Worker] Script loaded - Version 3');
+console.log(`[Service Worker] Script loaded - Version ${self.PRECACHE_VERSION}`);
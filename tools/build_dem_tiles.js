@@ -0,0 +1,202 @@
+#!/usr/bin/env node
+// tools/build_dem_tiles.js
+// Builds the offline DEM tile set in dem/ that js/elevation_profile.js samples for points whose KML
+// altitude is 0. Reads SRTM .hgt files (1 or 3 arc-second, e.g. S26E030.hgt from the SRTMGL1 set),
+// covers every trail KML plus a margin, and writes Terrarium-encoded PNG tiles
+// (elevation = R * 256 + G + B / 256 - 32768) at the zoom elevation_profile.js reads.
+//
+// Run from the repository root, then regenerate the precache manifest so the tiles work offline:
+//   node tools/build_dem_tiles.js path/to/S26E030.hgt [more.hgt ...]
+//   node tools/generate_precache_manifest.js
+
+const fs = require('fs');
+const path = require('path');
+const zlib = require('zlib');
+
+const ROOT = path.resolve(__dirname, '..');
+const OUTPUT_DIR = path.join(ROOT, 'dem');
+
+const DEM_TILE_SETTINGS = {
+    zoom: 13, // Must match ELEVATION_PROFILE_SETTINGS.demZoom
+    tileSize: 256,
+    margin: 0.02, // Degrees around the trails, so nearby uploaded routes are covered too
+    voidValue: -32768 // SRTM marks missing samples with this
+};
+
+// --- SRTM input ---
+
+function loadHgt(file) {
+    const match = /([NS])(\d{2})([EW])(\d{3})\.hgt$/i.exec(path.basename(file));
+    if (!match) throw new Error(`${file}: expected an SRTM name such as S26E030.hgt`);
+    const data = fs.readFileSync(file);
+    const size = Math.sqrt(data.length / 2);
+    if (!Number.isInteger(size)) throw new Error(`${file}: not a square grid of 16-bit samples`);
+    return {
+        // South-west corner of the cell
+        lat: (match[1].toUpperCase() === 'S' ? -1 : 1) * Number(match[2]),
+        lon: (match[3].toUpperCase() === 'W' ? -1 : 1) * Number(match[4]),
+        size: size,
+        data: data
+    };
+}
+
+function hgtSample(cell, row, col) {
+    const value = cell.data.readInt16BE((row * cell.size + col) * 2);
+    return value === DEM_TILE_SETTINGS.voidValue ? null : value;
+}
+
+// Bilinear elevation at a point, or null outside the cells or next to a void
+function sampleElevation(cells, lat, lon) {
+    const cell = cells.find(c => lat >= c.lat && lat <= c.lat + 1 && lon >= c.lon && lon <= c.lon + 1);
+    if (!cell) return null;
+    const steps = cell.size - 1;
+    // Rows run from north to south
+    const y = (cell.lat + 1 - lat) * steps;
+    const x = (lon - cell.lon) * steps;
+    const row = Math.min(Math.floor(y), steps - 1);
+    const col = Math.min(Math.floor(x), steps - 1);
+    const corners = [hgtSample(cell, row, col), hgtSample(cell, row, col + 1), hgtSample(cell, row + 1, col), hgtSample(cell, row + 1, col + 1)];
+    if (corners.some(value => value === null)) return null;
+    const fx = x - col;
+    const fy = y - row;
+    const top = corners[0] + (corners[1] - corners[0]) * fx;
+    const bottom = corners[2] + (corners[3] - corners[2]) * fx;
+    return top + (bottom - top) * fy;
+}
+
+// --- Area ---
+
+function getTrailBounds() {
+    const bounds = { south: Infinity, west: Infinity, north: -Infinity, east: -Infinity };
+    fs.readdirSync(path.join(ROOT, 'kml')).filter(file => file.endsWith('.kml')).forEach(file => {
+        const kml = fs.readFileSync(path.join(ROOT, 'kml', file), 'utf8');
+        const pattern = /<coordinates>([\s\S]*?)<\/coordinates>/g;
+        let match;
+        while ((match = pattern.exec(kml)) !== null) {
+            match[1].trim().split(/\s+/).forEach(tuple => {
+                const [lon, lat] = tuple.split(',').map(Number);
+                if (isNaN(lat) || isNaN(lon)) return;
+                bounds.south = Math.min(bounds.south, lat);
+                bounds.north = Math.max(bounds.north, lat);
+                bounds.west = Math.min(bounds.west, lon);
+                bounds.east = Math.max(bounds.east, lon);
+            });
+        }
+    });
+    const margin = DEM_TILE_SETTINGS.margin;
+    return { south: bounds.south - margin, west: bounds.west - margin, north: bounds.north + margin, east: bounds.east + margin };
+}
+
+function lonToTileX(lon, zoom) {
+    return (lon + 180) / 360 * Math.pow(2, zoom);
+}
+
+function latToTileY(lat, zoom) {
+    const latRad = lat * Math.PI / 180;
+    return (1 - Math.log(Math.tan(latRad) + 1 / Math.cos(latRad)) / Math.PI) / 2 * Math.pow(2, zoom);
+}
+
+function tileYToLat(y, zoom) {
+    const n = Math.PI - 2 * Math.PI * y / Math.pow(2, zoom);
+    return 180 / Math.PI * Math.atan(Math.sinh(n));
+}
+
+// --- PNG output ---
+
+const CRC_TABLE = Array.from({ length: 256 }, (unused, n) => {
+    let c = n;
+    for (let k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+    return c >>> 0;
+});
+
+function crc32(buffer) {
+    let crc = 0xffffffff;
+    for (const byte of buffer) crc = CRC_TABLE[(crc ^ byte) & 0xff] ^ (crc >>> 8);
+    return (crc ^ 0xffffffff) >>> 0;
+}
+
+function pngChunk(type, data) {
+    const length = Buffer.alloc(4);
+    length.writeUInt32BE(data.length);
+    const body = Buffer.concat([Buffer.from(type, 'ascii'), data]);
+    const crc = Buffer.alloc(4);
+    crc.writeUInt32BE(crc32(body));
+    return Buffer.concat([length, body, crc]);
+}
+
+// 8-bit RGB PNG from rows of [r, g, b] pixels
+function encodePng(size, pixels) {
+    const header = Buffer.alloc(13);
+    header.writeUInt32BE(size, 0);
+    header.writeUInt32BE(size, 4);
+    header[8] = 8; // Bit depth
+    header[9] = 2; // Colour type: RGB
+    const raw = Buffer.alloc(size * (size * 3 + 1));
+    for (let row = 0; row < size; row++) {
+        raw[row * (size * 3 + 1)] = 0; // Filter: none
+        pixels.copy(raw, row * (size * 3 + 1) + 1, row * size * 3, (row + 1) * size * 3);
+    }
+    return Buffer.concat([
+        Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]),
+        pngChunk('IHDR', header),
+        pngChunk('IDAT', zlib.deflateSync(raw, { level: 9 })),
+        pngChunk('IEND', Buffer.alloc(0))
+    ]);
+}
+
+function buildTile(cells, zoom, x, y) {
+    const size = DEM_TILE_SETTINGS.tileSize;
+    const pixels = Buffer.alloc(size * size * 3);
+    let known = 0;
+    for (let py = 0; py < size; py++) {
+        const lat = tileYToLat(y + (py + 0.5) / size, zoom);
+        for (let px = 0; px < size; px++) {
+            const lon = (x + (px + 0.5) / size) / Math.pow(2, zoom) * 360 - 180;
+            const ele = sampleElevation(cells, lat, lon);
+            // Voids stay at 0, 0, 0, which decodes to -32768
+            if (ele === null) continue;
+            const value = ele + 32768;
+            const i = (py * size + px) * 3;
+            pixels[i] = Math.floor(value / 256);
+            pixels[i + 1] = Math.floor(value) % 256;
+            pixels[i + 2] = Math.floor((value - Math.floor(value)) * 256);
+            known++;
+        }
+    }
+    return known > 0 ? encodePng(size, pixels) : null;
+}
+
+function main() {
+    const files = process.argv.slice(2);
+    if (files.length === 0) {
+        console.error('Usage: node tools/build_dem_tiles.js S26E030.hgt [more.hgt ...]');
+        process.exit(1);
+    }
+    const cells = files.map(loadHgt);
+    const bounds = getTrailBounds();
+    const zoom = DEM_TILE_SETTINGS.zoom;
+    const minX = Math.floor(lonToTileX(bounds.west, zoom));
+    const maxX = Math.floor(lonToTileX(bounds.east, zoom));
+    const minY = Math.floor(latToTileY(bounds.north, zoom));
+    const maxY = Math.floor(latToTileY(bounds.south, zoom));
+
+    let written = 0;
+    let bytes = 0;
+    for (let x = minX; x <= maxX; x++) {
+        for (let y = minY; y <= maxY; y++) {
+            const png = buildTile(cells, zoom, x, y);
+            if (!png) {
+                console.warn(`No elevation data for tile ${zoom}/${x}/${y}; add the .hgt cell that covers it`);
+                continue;
+            }
+            const file = path.join(OUTPUT_DIR, String(zoom), String(x), `${y}.png`);
+            fs.mkdirSync(path.dirname(file), { recursive: true });
+            fs.writeFileSync(file, png);
+            written++;
+            bytes += png.length;
+        }
+    }
+    console.log(`Wrote ${written} DEM tiles (${Math.round(bytes / 1024)} KB) to ${path.relative(ROOT, OUTPUT_DIR)}/`);
+}
+
+main();
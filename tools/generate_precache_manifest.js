@@ -0,0 +1,119 @@
+#!/usr/bin/env node
+// tools/generate_precache_manifest.js
+// Builds precache-manifest.js for service-worker.js from the files the app really uses:
+// everything index.html and manifest.json reference, plus each trail's KML (after the
+// kml_path_fix.js filename mapping) and elevation image from trailsData, and the DEM tiles in dem/
+// (tools/build_dem_tiles.js) that the elevation profiles read.
+// Every entry carries a content hash, so an updated worker only re-downloads changed files.
+//
+// Run from the repository root after changing any app file:  node tools/generate_precache_manifest.js
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const vm = require('vm');
+
+const ROOT = path.resolve(__dirname, '..');
+const OUTPUT = path.join(ROOT, 'precache-manifest.js');
+
+// Loaded at runtime rather than from index.html
+const EXTRA_ASSETS = ['css/first-aid.css'];
+
+// Not needed on the trail; the fetch handler caches these when they are first viewed
+const EXCLUDED_PATTERNS = [/^img\/accommodation\//];
+
+function readText(file) {
+    return fs.readFileSync(path.join(ROOT, file), 'utf8');
+}
+
+function isLocalUrl(url) {
+    return url && !/^(https?:)?\/\//.test(url) && !url.startsWith('data:') && !url.startsWith('#');
+}
+
+function getIndexAssets() {
+    const html = readText('index.html');
+    const assets = [];
+    const pattern = /<(?:script|img|link)\b[^>]*?\b(?:src|href)="([^"]+)"/g;
+    let match;
+    while ((match = pattern.exec(html)) !== null) {
+        if (isLocalUrl(match[1])) assets.push(match[1].split('?')[0]);
+    }
+    return assets;
+}
+
+function getManifestAssets() {
+    const manifest = JSON.parse(readText('manifest.json'));
+    return (manifest.icons || []).concat(manifest.screenshots || []).map(image => image.src);
+}
+
+function loadScriptGlobals(file, context, expression) {
+    vm.createContext(context);
+    return vm.runInContext(`${readText(file)}\n;${expression}`, context, { filename: file });
+}
+
+function getTrailAssets() {
+    const trails = loadScriptGlobals('js/trails.js', {}, 'trailsData');
+
+    // kml_path_fix.js decides which file loadTrail really fetches; run it against a fake page
+    const page = { location: { protocol: 'https:', host: 'app.invalid', pathname: '/index.html' } };
+    page.fetch = () => null;
+    const context = { window: page, navigator: {}, console: { log() {}, error() {} } };
+    const normalize = loadScriptGlobals('kml_path_fix.js', context, 'getNormalizedKmlUrl');
+    const baseUrl = 'https://app.invalid/';
+
+    const assets = [];
+    trails.forEach(trail => {
+        const kmlPath = `/kml/${trail.kmlFilename}`;
+        const kmlUrl = normalize(kmlPath) || kmlPath;
+        assets.push(kmlUrl.startsWith(baseUrl) ? kmlUrl.slice(baseUrl.length) : kmlUrl.replace(/^\//, ''));
+        if (trail.elevationImage) assets.push(`img/elevation/${trail.elevationImage}`);
+    });
+    return assets;
+}
+
+function getDemAssets(dir = 'dem') {
+    const full = path.join(ROOT, dir);
+    if (!fs.existsSync(full)) return [];
+    return fs.readdirSync(full, { withFileTypes: true }).flatMap(entry => {
+        const file = `${dir}/${entry.name}`;
+        if (entry.isDirectory()) return getDemAssets(file);
+        return entry.name.endsWith('.png') ? [file] : [];
+    });
+}
+
+function hashFile(file) {
+    return crypto.createHash('sha256').update(fs.readFileSync(path.join(ROOT, file))).digest('hex').slice(0, 16);
+}
+
+function main() {
+    const candidates = ['index.html', 'manifest.json', 'favicon.ico']
+        .concat(getIndexAssets(), getManifestAssets(), getTrailAssets(), getDemAssets(), EXTRA_ASSETS);
+    const files = [...new Set(candidates.map(file => path.posix.normalize(file)))]
+        .filter(file => !EXCLUDED_PATTERNS.some(pattern => pattern.test(file)));
+
+    const entries = [];
+    const missing = [];
+    files.forEach(file => {
+        if (fs.existsSync(path.join(ROOT, file))) entries.push({ url: file, revision: hashFile(file) });
+        else missing.push(file);
+    });
+    entries.sort((a, b) => a.url.localeCompare(b.url));
+
+    // The start URL serves index.html
+    const index = entries.find(entry => entry.url === 'index.html');
+    entries.unshift({ url: './', revision: index.revision });
+
+    const version = crypto.createHash('sha256').update(JSON.stringify(entries)).digest('hex').slice(0, 12);
+    const output = `// Generated by tools/generate_precache_manifest.js. Do not edit by hand; re-run the script instead.
+self.PRECACHE_VERSION = '${version}';
+self.PRECACHE_MANIFEST = ${JSON.stringify(entries, null, 2)};
+`;
+    fs.writeFileSync(OUTPUT, output);
+
+    console.log(`Wrote ${path.relative(ROOT, OUTPUT)}: ${entries.length} files, version ${version}`);
+    if (missing.length > 0) {
+        console.warn(`Referenced but missing (not precached):\n  ${missing.join('\n  ')}`);
+    }
+}
+
+main();